@@ -0,0 +1,91 @@
+/**
+ * Stub receiver for the analytics beacons in src/utils/analytics.js
+ *
+ * Accepts beacons on POST /collect, rejects anything that doesn't match the
+ * schema, and keeps running totals in memory (GET /counts). Nothing is written
+ * to disk. Point a page at it with
+ *
+ *   <meta name="analytics-endpoint" content="http://localhost:8787/collect">
+ *
+ * and grant consent from the console:
+ *
+ *   (await import('/src/utils/analytics.js')).setConsent('granted')
+ *
+ * Usage: node scripts/analytics-receiver.js [port]   (defaults to 8787)
+ */
+import { createServer } from 'node:http';
+
+import { readBody, sendJson } from './lib/http.js';
+import { ANALYTICS_EVENTS, SCHEMA_VERSION } from '../src/utils/analytics.js';
+
+const port = Number(process.argv[2]) || 8787;
+
+const totals = new Map();
+
+/**
+ * Returns why a beacon is invalid, or null
+ */
+function validate(beacon) {
+  if (!beacon || typeof beacon !== 'object') return 'body is not a JSON object';
+  if (beacon.schema !== SCHEMA_VERSION) return `schema must be ${SCHEMA_VERSION}`;
+  if (typeof beacon.path !== 'string' || !beacon.path.startsWith('/')) return 'path must start with /';
+  if (!Array.isArray(beacon.counts) || beacon.counts.length === 0) return 'counts must be a non-empty array';
+
+  for (const { event, dimensions, count } of beacon.counts) {
+    const schema = ANALYTICS_EVENTS[event];
+    if (!schema) return `unknown event "${event}"`;
+    if (!Number.isInteger(count) || count < 1) return `${event}: count must be a positive integer`;
+    if (!dimensions || typeof dimensions !== 'object') return `${event}: dimensions must be an object`;
+
+    for (const [key, value] of Object.entries(dimensions)) {
+      if (!schema[key]) return `${event}: unknown dimension "${key}"`;
+      if (value !== 'other' && !schema[key].includes(value)) return `${event}: "${value}" is not a valid ${key}`;
+    }
+  }
+
+  return null;
+}
+
+function record(beacon) {
+  beacon.counts.forEach(({ event, dimensions, count }) => {
+    const key = JSON.stringify([beacon.path, event, dimensions]);
+    const entry = totals.get(key) || { path: beacon.path, event, dimensions, count: 0 };
+    entry.count += count;
+    totals.set(key, entry);
+  });
+}
+
+const server = createServer(async (request, response) => {
+  const { pathname } = new URL(request.url, 'http://localhost');
+
+  if (request.method === 'OPTIONS') {
+    sendJson(response, 204);
+  } else if (request.method === 'GET' && pathname === '/counts') {
+    sendJson(response, 200, Array.from(totals.values()));
+  } else if (request.method === 'POST' && pathname === '/collect') {
+    let beacon;
+    try {
+      beacon = JSON.parse(await readBody(request));
+    } catch (error) {
+      sendJson(response, 400, { error: error.message });
+      return;
+    }
+
+    const problem = validate(beacon);
+    if (problem) {
+      console.warn(`⚠️ Rejected beacon: ${problem}`);
+      sendJson(response, 400, { error: problem });
+      return;
+    }
+
+    record(beacon);
+    console.log(`📊 ${beacon.path}: ${beacon.counts.map(({ event, count }) => `${event}×${count}`).join(', ')}`);
+    sendJson(response, 204);
+  } else {
+    sendJson(response, 404, { error: 'not found' });
+  }
+});
+
+server.listen(port, '127.0.0.1', () => {
+  console.log(`📡 Analytics receiver on http://127.0.0.1:${port}/collect (totals at /counts)`);
+});
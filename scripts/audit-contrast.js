@@ -0,0 +1,131 @@
+/**
+ * Contrast audit for every /sonora/ page, including the archived legal
+ * versions under sonora/legal/
+ *
+ * Loads each page in jsdom, renders it in every built-in palette and reports
+ * text that fails WCAG contrast. Known failures are recorded in
+ * contrast-baseline.json; the audit exits 1 when a failure that isn't in the
+ * baseline appears at AA (or AAA with --aaa).
+ *
+ * Usage: node scripts/audit-contrast.js [--aaa] [--json] [--update-baseline] [page.html ...]
+ */
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { JSDOM } from 'jsdom';
+
+import { listFiles } from './lib/files.js';
+import { auditThemes } from '../src/utils/contrastAudit.js';
+import { DEFAULT_PALETTES } from '../src/modules/themePalettes.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const SONORA_DIR = path.join(ROOT, 'sonora');
+const BASELINE_FILE = path.join(ROOT, 'scripts', 'contrast-baseline.json');
+
+const args = process.argv.slice(2);
+const strict = args.includes('--aaa');
+const asJson = args.includes('--json');
+const updateBaseline = args.includes('--update-baseline');
+const requestedPages = args.filter(arg => !arg.startsWith('--'));
+
+async function auditPage(file) {
+  const html = await readFile(file, 'utf8');
+  const relative = path.relative(ROOT, file).split(path.sep).join('/');
+  const dom = new JSDOM(html, { url: `http://localhost:8000/${relative}` });
+
+  try {
+    return {
+      page: `/${relative}`,
+      themes: auditThemes(DEFAULT_PALETTES, { view: dom.window })
+    };
+  } finally {
+    dom.window.close();
+  }
+}
+
+function failureKey(page, theme, failure) {
+  return `${page} ${theme} ${failure.level} ${failure.selector}`;
+}
+
+async function readBaseline() {
+  try {
+    return new Set(JSON.parse(await readFile(BASELINE_FILE, 'utf8')));
+  } catch (error) {
+    if (error.code === 'ENOENT') return new Set();
+    throw error;
+  }
+}
+
+function collectFailures(results) {
+  return results.flatMap(({ page, themes }) => themes.flatMap(({ theme, failures }) =>
+    failures
+      .filter(failure => strict || failure.level === 'AA')
+      .map(failure => ({ key: failureKey(page, theme, failure), failure }))
+  ));
+}
+
+function printReport(results, baseline) {
+  results.forEach(({ page, themes }) => {
+    console.log(`\n${page}`);
+
+    themes.forEach(({ theme, checked, failures, summary }) => {
+      console.log(`  ${theme}: ${checked} text elements, ${summary.AA} fail AA, ${summary.AAA} fail AAA`);
+
+      failures
+        .filter(failure => strict || failure.level === 'AA')
+        .forEach(failure => {
+          const known = baseline.has(failureKey(page, theme, failure));
+          console.log(
+            `    ${known ? '·' : '✗'} [${failure.level}] ${failure.ratio}:1 ${failure.foreground} on ${failure.background}` +
+            `${failure.large ? ' (large)' : ''}${known ? ' (baseline)' : ''}\n      ${failure.selector}\n      "${failure.text}"`
+          );
+        });
+    });
+  });
+}
+
+async function main() {
+  const pages = requestedPages.length > 0
+    ? requestedPages.map(page => path.resolve(page))
+    : (await listFiles(SONORA_DIR))
+      .filter(name => name.endsWith('.html'))
+      .map(name => path.join(SONORA_DIR, name));
+
+  const results = [];
+  for (const page of pages) {
+    results.push(await auditPage(page));
+  }
+
+  const failures = collectFailures(results);
+
+  if (updateBaseline) {
+    const keys = [...new Set(failures.map(({ key }) => key))].sort();
+    await writeFile(BASELINE_FILE, `${JSON.stringify(keys, null, 2)}\n`);
+    console.log(`📝 Recorded ${keys.length} known failures in ${path.relative(ROOT, BASELINE_FILE)}`);
+    return;
+  }
+
+  const baseline = await readBaseline();
+  const regressions = failures.filter(({ key }) => !baseline.has(key));
+
+  if (asJson) {
+    console.log(JSON.stringify({ results, regressions: regressions.map(({ key }) => key) }, null, 2));
+  } else {
+    printReport(results, baseline);
+
+    const fixed = [...baseline].filter(key => !failures.some(failure => failure.key === key));
+    if (fixed.length > 0) {
+      console.log(`\n${fixed.length} baseline entries no longer fail - run with --update-baseline to drop them`);
+    }
+    console.log(regressions.length > 0
+      ? `\n❌ Contrast audit failed: ${regressions.length} new failures`
+      : '\n✅ Contrast audit passed');
+  }
+
+  process.exitCode = regressions.length > 0 ? 1 : 0;
+}
+
+main().catch(error => {
+  console.error('❌ Contrast audit crashed:', error);
+  process.exitCode = 2;
+});
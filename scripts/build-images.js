@@ -0,0 +1,259 @@
+/**
+ * Build responsive images for the Sonora pages
+ *
+ * Each source in images/ (PNG, JPEG, WebP, AVIF or SVG) is encoded to:
+ *   - sonora/img/<name>-<width>.{avif,webp,jpg} at each width in WIDTHS up to its own
+ *   - a tiny blurred WebP placeholder, inlined as a data: URI
+ * and recorded in sonora/img/manifest.json with its intrinsic size.
+ *
+ * Pages place an image with an empty element naming the source:
+ *
+ *   <picture data-image="screenshot-home" data-alt="Recording a thought" data-sizes="(max-width: 600px) 90vw, 320px"></picture>
+ *
+ * and this script fills it in with <source>s, a sized <img> and a <noscript>
+ * fallback, in the data-src/data-srcset form LazyLoader (the `images` feature)
+ * expects. Add data-loading="eager" for images above the fold.
+ *
+ * Unchanged sources aren't re-encoded; their hash is kept in the manifest.
+ *
+ * Usage: node scripts/build-images.js [--check]
+ *   --check  exit 1 if any generated file or page is out of date instead of writing it
+ */
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, readdir, rm, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import sharp from 'sharp';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const SOURCE_DIR = path.join(ROOT, 'images');
+const SONORA_DIR = path.join(ROOT, 'sonora');
+const OUTPUT_DIR = path.join(SONORA_DIR, 'img');
+const MANIFEST_FILE = path.join(OUTPUT_DIR, 'manifest.json');
+
+const SOURCE_EXTENSIONS = new Set(['.png', '.jpg', '.jpeg', '.webp', '.avif', '.svg']);
+
+const WIDTHS = [320, 640, 960, 1280, 1920];
+const PLACEHOLDER_WIDTH = 24;
+
+// Most capable first: the browser takes the first <source> it supports
+const FORMATS = [
+  { format: 'avif', extension: 'avif', type: 'image/avif', options: { quality: 50, effort: 4 } },
+  { format: 'webp', extension: 'webp', type: 'image/webp', options: { quality: 75 } },
+  { format: 'jpeg', extension: 'jpg', type: 'image/jpeg', options: { quality: 78, mozjpeg: true } }
+];
+
+// Part of each image's hash, so changing an encoder setting rebuilds everything
+const SETTINGS = JSON.stringify({ WIDTHS, PLACEHOLDER_WIDTH, FORMATS });
+
+const PICTURE_PATTERN = /([ \t]*)<picture\b([^>]*\bdata-image="([^"]+)"[^>]*)>[\s\S]*?<\/picture>(?:\s*<noscript data-image-fallback>[\s\S]*?<\/noscript>)?/g;
+const INDENT = '    ';
+
+const checkOnly = process.argv.includes('--check');
+
+/**
+ * An attribute's value as written in the page, so already escaped
+ */
+function attribute(attributes, name) {
+  const match = attributes.match(new RegExp(`\\b${name}="([^"]*)"`));
+  return match ? match[1] : null;
+}
+
+async function readManifest() {
+  try {
+    return JSON.parse(await readFile(MANIFEST_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw error;
+  }
+}
+
+async function findSources() {
+  let entries;
+  try {
+    entries = await readdir(SOURCE_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const sources = entries
+    .filter(entry => SOURCE_EXTENSIONS.has(path.extname(entry).toLowerCase()))
+    .map(entry => ({ name: path.basename(entry, path.extname(entry)), file: path.join(SOURCE_DIR, entry) }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  const seen = new Set();
+  sources.forEach(({ name }) => {
+    if (!/^[a-z0-9][a-z0-9-]*$/.test(name)) throw new Error(`images/${name}: use lowercase letters, digits and dashes`);
+    if (seen.has(name)) throw new Error(`images/${name}: more than one source with this name`);
+    seen.add(name);
+  });
+
+  return sources;
+}
+
+/**
+ * Encode every variant of one source; returns its manifest entry
+ */
+async function encodeImage({ name, file }, hash) {
+  const input = await readFile(file);
+  // SVGs are rasterised at twice their size so the largest width stays sharp
+  const density = path.extname(file).toLowerCase() === '.svg' ? 144 : undefined;
+  const { width, height } = await sharp(input, { density }).metadata();
+
+  const widths = WIDTHS.filter(candidate => candidate < width);
+  if (width <= WIDTHS[WIDTHS.length - 1]) widths.push(width);
+
+  const variants = {};
+  for (const { format, extension, options } of FORMATS) {
+    variants[extension] = [];
+    for (const variantWidth of widths) {
+      const output = `${name}-${variantWidth}.${extension}`;
+      let pipeline = sharp(input, { density }).resize({ width: variantWidth });
+      // JPEG has no transparency
+      if (format === 'jpeg') pipeline = pipeline.flatten({ background: '#ffffff' });
+      await pipeline.toFormat(format, options).toFile(path.join(OUTPUT_DIR, output));
+      variants[extension].push({ file: output, width: variantWidth });
+    }
+  }
+
+  const placeholder = await sharp(input, { density })
+    .resize({ width: PLACEHOLDER_WIDTH })
+    .blur(1.5)
+    .webp({ quality: 40 })
+    .toBuffer();
+
+  // Intrinsic size as rendered at the largest variant
+  const largest = widths[widths.length - 1];
+  return {
+    hash,
+    width: largest,
+    height: Math.round((height / width) * largest),
+    placeholder: `data:image/webp;base64,${placeholder.toString('base64')}`,
+    variants
+  };
+}
+
+/**
+ * The markup for one <picture data-image>, relative to the page that holds it
+ */
+function renderPicture(indent, attributes, image, page) {
+  const base = path.relative(path.dirname(page), OUTPUT_DIR).split(path.sep).join('/');
+  const url = file => `${base}/${file}`;
+  const srcset = variants => variants.map(variant => `${url(variant.file)} ${variant.width}w`).join(', ');
+
+  const alt = attribute(attributes, 'data-alt') || '';
+  const sizes = attribute(attributes, 'data-sizes') || '100vw';
+  const eager = attribute(attributes, 'data-loading') === 'eager';
+
+  const jpegs = image.variants.jpg;
+  const fallback = url(jpegs[Math.min(1, jpegs.length - 1)].file);
+
+  // Keep the author's attributes; the class and placeholder are ours
+  const pictureAttributes = attributes
+    .replace(/\s*\bclass="[^"]*"/, '')
+    .replace(/\s*\bstyle="[^"]*"/, '')
+    .trim();
+  const authorClass = attribute(attributes, 'class');
+  const className = ['lazy-picture', ...(authorClass ? authorClass.split(/\s+/).filter(name => name !== 'lazy-picture') : [])].join(' ');
+
+  const inner = `${indent}${INDENT}`;
+  const lines = [
+    `${indent}<picture ${pictureAttributes} class="${className}" style="background-image: url('${image.placeholder}')">`,
+    ...FORMATS.filter(({ extension }) => extension !== 'jpg').map(({ extension, type }) =>
+      `${inner}<source type="${type}" data-srcset="${srcset(image.variants[extension])}" sizes="${sizes}">`),
+    `${inner}<img data-src="${fallback}" data-srcset="${srcset(jpegs)}" data-fallback="${fallback}" sizes="${sizes}" ` +
+      `width="${image.width}" height="${image.height}" alt="${alt}" loading="${eager ? 'eager' : 'lazy'}" decoding="async"${eager ? ' fetchpriority="high"' : ''}>`,
+    `${indent}</picture>`,
+    `${indent}<noscript data-image-fallback><img src="${fallback}" width="${image.width}" height="${image.height}" alt="${alt}"></noscript>`
+  ];
+  return lines.join('\n');
+}
+
+async function findPages(directory) {
+  const entries = await readdir(directory, { withFileTypes: true });
+  const pages = await Promise.all(entries.map(entry => {
+    const file = path.join(directory, entry.name);
+    if (entry.isDirectory()) return entry.name === 'img' ? [] : findPages(file);
+    return entry.name.endsWith('.html') ? [file] : [];
+  }));
+  return pages.flat().sort();
+}
+
+async function build() {
+  const sources = await findSources();
+  const previous = await readManifest();
+  const manifest = {};
+  const stale = [];
+
+  if (!checkOnly && sources.length > 0) await mkdir(OUTPUT_DIR, { recursive: true });
+
+  for (const source of sources) {
+    const hash = createHash('sha256').update(await readFile(source.file)).update(SETTINGS).digest('hex').slice(0, 16);
+
+    if (previous[source.name] && previous[source.name].hash === hash) {
+      manifest[source.name] = previous[source.name];
+      continue;
+    }
+
+    stale.push(`sonora/img/${source.name}-*`);
+    if (checkOnly) continue;
+
+    console.log(`🖼️ Encoding images/${path.basename(source.file)}`);
+    manifest[source.name] = await encodeImage(source, hash);
+  }
+
+  // Variants of sources that were removed or re-encoded at other widths
+  const removed = Object.keys(previous).filter(name => !manifest[name] && !sources.some(source => source.name === name));
+  removed.forEach(name => stale.push(`sonora/img/${name}-* (source removed)`));
+
+  if (!checkOnly && (sources.length > 0 || Object.keys(previous).length > 0)) {
+    const keep = new Set(Object.values(manifest).flatMap(entry => Object.values(entry.variants).flat().map(variant => variant.file)));
+    keep.add(path.basename(MANIFEST_FILE));
+    for (const file of await readdir(OUTPUT_DIR)) {
+      if (!keep.has(file)) await rm(path.join(OUTPUT_DIR, file));
+    }
+  }
+
+  const manifestContent = `${JSON.stringify(manifest, null, 2)}\n`;
+  const existingManifest = await readFile(MANIFEST_FILE, 'utf8').catch(() => null);
+  // No sources and nothing built before: don't create an empty img/ directory
+  const needsManifest = sources.length > 0 || existingManifest !== null;
+  if (needsManifest && existingManifest !== manifestContent) {
+    stale.push(path.relative(ROOT, MANIFEST_FILE));
+    if (!checkOnly) await writeFile(MANIFEST_FILE, manifestContent);
+  }
+
+  for (const page of await findPages(SONORA_DIR)) {
+    const html = await readFile(page, 'utf8');
+    const updated = html.replace(PICTURE_PATTERN, (match, indent, attributes, name) => {
+      const image = manifest[name] || (checkOnly ? previous[name] : null);
+      if (!image) throw new Error(`${path.relative(ROOT, page)} uses data-image="${name}", but images/ has no such source`);
+      return renderPicture(indent, attributes, image, page);
+    });
+
+    if (updated !== html) {
+      stale.push(path.relative(ROOT, page));
+      if (!checkOnly) await writeFile(page, updated);
+    }
+  }
+
+  if (checkOnly) {
+    if (stale.length > 0) {
+      console.error(`❌ Images are out of date - run npm run build:images:\n  ${stale.join('\n  ')}`);
+      process.exitCode = 1;
+    } else {
+      console.log(`✅ ${sources.length} image(s) are up to date`);
+    }
+    return;
+  }
+
+  console.log(stale.length > 0
+    ? `🖼️ Updated ${stale.length} image file(s) and page(s):\n  ${stale.join('\n  ')}`
+    : `✅ ${sources.length} image(s) are up to date`);
+}
+
+build().catch(error => {
+  console.error('❌ Image build failed:', error.message);
+  process.exitCode = 2;
+});
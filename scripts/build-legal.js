@@ -0,0 +1,315 @@
+/**
+ * Build the Sonora legal pages from their Markdown sources
+ *
+ * Each legal/<document>/<version>.md is rendered into:
+ *   - sonora/<document>.html, between the legal-document markers (newest version only)
+ *   - sonora/legal/<document>/<version>.html, a permanent archived copy of every version
+ *   - sonora/legal/<document>/versions.json, the section text the "what changed" view diffs
+ *
+ * Each page links to the PDF of its version, which scripts/build-pdf.js renders
+ * from the archived copy.
+ *
+ * Usage: node scripts/build-legal.js [--check]
+ *   --check  exit 1 if any generated file is out of date instead of writing it
+ */
+import { mkdir, readFile, readdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { JSDOM } from 'jsdom';
+
+import {
+  escapeAttribute,
+  parseDocument,
+  parseFrontMatter,
+  renderBlocks,
+  renderInline,
+  renderSection
+} from './lib/markdown.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const LEGAL_DIR = path.join(ROOT, 'legal');
+const SONORA_DIR = path.join(ROOT, 'sonora');
+const ARCHIVE_DIR = path.join(SONORA_DIR, 'legal');
+const SITE_URL = 'https://samuelkahessay.github.io/sonora';
+
+const START_MARKER = '<!-- legal-document:start -->';
+const END_MARKER = '<!-- legal-document:end -->';
+
+// Content sits inside <main>, two levels in
+const CONTENT_DEPTH = 2;
+const INDENT = '    ';
+
+const BLOCK_TAGS = new Set(['P', 'LI', 'H3', 'H4', 'H5', 'H6', 'DIV', 'UL', 'OL', 'BLOCKQUOTE', 'TABLE', 'TR']);
+
+const checkOnly = process.argv.includes('--check');
+
+function compareVersions(a, b) {
+  const left = a.split('.').map(Number);
+  const right = b.split('.').map(Number);
+
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const difference = (left[i] || 0) - (right[i] || 0);
+    if (difference !== 0) return difference;
+  }
+  return 0;
+}
+
+function formatDate(iso) {
+  return new Intl.DateTimeFormat('en-US', { dateStyle: 'long', timeZone: 'UTC' }).format(new Date(iso));
+}
+
+async function readVersions(name) {
+  const directory = path.join(LEGAL_DIR, name);
+  const files = (await readdir(directory)).filter(file => file.endsWith('.md'));
+
+  const versions = await Promise.all(files.map(async file => {
+    const source = await readFile(path.join(directory, file), 'utf8');
+    const { data, body } = parseFrontMatter(source);
+    const where = path.relative(ROOT, path.join(directory, file));
+
+    ['title', 'version', 'effective'].forEach(field => {
+      if (!data[field]) throw new Error(`${where}: front matter needs "${field}"`);
+    });
+    if (`${data.version}.md` !== file) {
+      throw new Error(`${where}: front matter version ${data.version} doesn't match the file name`);
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(data.effective)) {
+      throw new Error(`${where}: effective date must be YYYY-MM-DD`);
+    }
+
+    const document = parseDocument(body);
+    const ids = new Set();
+    document.sections.forEach(section => {
+      // Published links point at these ids, so they're never derived from titles
+      if (!section.id) throw new Error(`${where}: section "${section.text}" needs an explicit {#id}`);
+      if (ids.has(section.id)) throw new Error(`${where}: duplicate section id "${section.id}"`);
+      ids.add(section.id);
+    });
+
+    return { ...data, document };
+  }));
+
+  return versions.sort((a, b) => compareVersions(b.version, a.version));
+}
+
+/**
+ * The HTML that replaces everything between the markers
+ */
+function renderContent(name, version, { historyUrl, pdfUrl, notice }) {
+  const depth = CONTENT_DEPTH;
+  const lines = [];
+
+  if (notice) {
+    lines.push(`${INDENT.repeat(depth)}<div class="highlight-box archived-notice" role="note">`);
+    lines.push(`${INDENT.repeat(depth + 1)}<p>${notice}</p>`);
+    lines.push(`${INDENT.repeat(depth)}</div>`, '');
+  }
+
+  if (version.document.preamble.length > 0) {
+    lines.push(...renderBlocks(version.document.preamble, depth), '');
+  }
+
+  version.document.sections.forEach(section => {
+    lines.push(...renderSection(section, depth), '');
+  });
+
+  const attributes = [
+    `data-legal-document="${name}"`,
+    `data-legal-title="${escapeAttribute(version.title)}"`,
+    `data-legal-version="${escapeAttribute(version.version)}"`,
+    `data-effective="${version.effective}"`,
+    `data-legal-history="${historyUrl}"`,
+    `data-legal-pdf="${pdfUrl}"`
+  ].join(' ');
+
+  lines.push(
+    `${INDENT.repeat(depth)}<div class="last-updated" ${attributes}>`,
+    `${INDENT.repeat(depth + 1)}<p><strong>Last Updated:</strong> ${formatDate(version.effective)}</p>`
+  );
+  if (version.effectiveStatement) {
+    lines.push(`${INDENT.repeat(depth + 1)}<p>${renderInline(version.effectiveStatement)}</p>`);
+  }
+  lines.push(
+    `${INDENT.repeat(depth + 1)}<p class="last-updated__version">`,
+    `${INDENT.repeat(depth + 2)}Version ${renderInline(version.version)}${version.summary ? ` • ${renderInline(version.summary)}` : ''}`,
+    `${INDENT.repeat(depth + 1)}</p>`,
+    `${INDENT.repeat(depth)}</div>`
+  );
+
+  return lines.map(line => line.trimEnd()).join('\n');
+}
+
+function replaceContent(page, content, file) {
+  const start = page.indexOf(START_MARKER);
+  const end = page.indexOf(END_MARKER);
+  if (start === -1 || end === -1 || end < start) {
+    throw new Error(`${path.relative(ROOT, file)} needs ${START_MARKER} and ${END_MARKER} around the document`);
+  }
+
+  const before = page.slice(0, start + START_MARKER.length);
+  const lineStart = page.lastIndexOf('\n', end) + 1;
+  return `${before}\n${content}\n${page.slice(lineStart)}`;
+}
+
+/**
+ * Re-point the page's relative URLs from sonora/ to sonora/legal/<document>/
+ */
+function rebaseRelativeUrls(html, prefix) {
+  return html.replace(/\b(href|src)="([^"]*)"/g, (match, attribute, url) => {
+    if (!url || /^(#|\/|[a-z][a-z0-9+.-]*:)/i.test(url)) return match;
+    return `${attribute}="${prefix}${url}"`;
+  });
+}
+
+function renderArchive(shell, name, version, current, file) {
+  const archiveUrl = `${SITE_URL}/legal/${name}/${version.version}.html`;
+  const isCurrent = version.version === current.version;
+  const notice = isCurrent
+    ? `This is the permanent copy of version ${version.version} of the ${version.title}, in effect since ${formatDate(version.effective)}. It is the current version.`
+    : `You're reading version ${version.version} of the ${version.title}, effective ${formatDate(version.effective)}. It has been replaced by version ${current.version}. <a href="${name}.html">Read the current ${version.title}</a>.`;
+
+  const content = renderContent(name, version, { historyUrl: 'versions.json', pdfUrl: `${version.version}.pdf`, notice });
+  let html = rebaseRelativeUrls(replaceContent(shell, content, file), '../../');
+
+  html = html
+    .replace(/<title>([^<]*)<\/title>/, `<title>${version.title} (Version ${version.version}) - Sonora</title>`)
+    .replace(/(<meta property="og:url" content=")[^"]*(")/, `$1${archiveUrl}$2`);
+
+  return html;
+}
+
+/**
+ * Plain-text blocks per section, which is what the browser diffs
+ */
+function extractSections(name, version) {
+  const html = renderContent(name, version, { historyUrl: '' });
+  const dom = new JSDOM(`<main>${html}</main>`);
+  const { document } = dom.window;
+
+  const textOf = node => node.textContent.replace(/\s+/g, ' ').trim();
+
+  const collectBlocks = (element, blocks = []) => {
+    Array.from(element.children).forEach(child => {
+      if (child.tagName === 'H2') return;
+
+      if (child.tagName === 'LI') {
+        // An item's own text, then any nested list items as blocks of their own
+        const own = child.cloneNode(true);
+        own.querySelectorAll('ul, ol').forEach(list => list.remove());
+        if (textOf(own)) blocks.push(textOf(own));
+        child.querySelectorAll(':scope > ul, :scope > ol').forEach(list => collectBlocks(list, blocks));
+        return;
+      }
+
+      const hasBlockChildren = Array.from(child.children).some(grandchild => BLOCK_TAGS.has(grandchild.tagName));
+      if (hasBlockChildren) {
+        collectBlocks(child, blocks);
+      } else if (textOf(child)) {
+        blocks.push(textOf(child));
+      }
+    });
+    return blocks;
+  };
+
+  const main = document.querySelector('main');
+  const preamble = Array.from(main.children).filter(child => child.tagName !== 'SECTION' && !child.matches('.last-updated'));
+  const sections = [];
+
+  if (preamble.length > 0) {
+    const wrapper = document.createElement('div');
+    preamble.forEach(element => wrapper.appendChild(element.cloneNode(true)));
+    sections.push({ id: '', title: 'Introduction', blocks: collectBlocks(wrapper) });
+  }
+
+  main.querySelectorAll(':scope > section').forEach(section => {
+    sections.push({
+      id: section.id,
+      title: textOf(section.querySelector('h2')),
+      blocks: collectBlocks(section)
+    });
+  });
+
+  dom.window.close();
+  return sections;
+}
+
+async function buildDocument(name) {
+  const versions = await readVersions(name);
+  if (versions.length === 0) return [];
+
+  const [current] = versions;
+  const pageFile = path.join(SONORA_DIR, `${name}.html`);
+  const page = await readFile(pageFile, 'utf8');
+  const archiveDir = path.join(ARCHIVE_DIR, name);
+
+  const outputs = [];
+  const updatedPage = replaceContent(
+    page,
+    renderContent(name, current, { historyUrl: `legal/${name}/versions.json`, pdfUrl: `legal/${name}/${current.version}.pdf` }),
+    pageFile
+  );
+  outputs.push({ file: pageFile, content: updatedPage });
+
+  versions.forEach(version => {
+    outputs.push({
+      file: path.join(archiveDir, `${version.version}.html`),
+      content: renderArchive(updatedPage, name, version, current, pageFile)
+    });
+  });
+
+  const history = {
+    document: name,
+    title: current.title,
+    current: current.version,
+    versions: versions.map(version => ({
+      version: version.version,
+      effective: version.effective,
+      summary: version.summary || '',
+      url: `${version.version}.html`,
+      sections: extractSections(name, version)
+    }))
+  };
+  outputs.push({ file: path.join(archiveDir, 'versions.json'), content: `${JSON.stringify(history, null, 2)}\n` });
+
+  return outputs;
+}
+
+async function build() {
+  const names = (await readdir(LEGAL_DIR, { withFileTypes: true }))
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name)
+    .sort();
+
+  const outputs = (await Promise.all(names.map(buildDocument))).flat();
+  const stale = [];
+
+  for (const { file, content } of outputs) {
+    const existing = await readFile(file, 'utf8').catch(() => null);
+    if (existing === content) continue;
+
+    stale.push(path.relative(ROOT, file));
+    if (!checkOnly) {
+      await mkdir(path.dirname(file), { recursive: true });
+      await writeFile(file, content);
+    }
+  }
+
+  if (checkOnly) {
+    if (stale.length > 0) {
+      console.error(`❌ Legal pages are out of date - run npm run build:legal:\n  ${stale.join('\n  ')}`);
+      process.exitCode = 1;
+    } else {
+      console.log('✅ Legal pages are up to date');
+    }
+    return;
+  }
+
+  console.log(stale.length > 0
+    ? `📄 Updated ${stale.length} legal file(s):\n  ${stale.join('\n  ')}`
+    : '✅ Legal pages are up to date');
+}
+
+build().catch(error => {
+  console.error('❌ Legal build failed:', error.message);
+  process.exitCode = 2;
+});
@@ -0,0 +1,122 @@
+/**
+ * Render the Sonora legal documents to PDF in a build
+ *
+ * Serves the built site and opens every archived version
+ * (sonora/legal/<document>/<version>.html, from scripts/build-legal.js) in
+ * headless Chrome with ?print=1, the print mode readers get from the Print
+ * button, then saves it beside the archive as <version>.pdf. Each page's
+ * Download PDF link points at its version's file, and only shows when the
+ * file exists. npm run deploy runs this with --require after the build.
+ *
+ * If headless Chrome can't start, the PDFs are skipped with a warning, so a
+ * local build still works; --require makes that an error, so a deploy never
+ * publishes without them.
+ *
+ * Usage: node scripts/build-pdf.js [--require] [directory]   (defaults to dist/)
+ */
+import { readFile, readdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import puppeteer from 'puppeteer';
+
+import { serveStatic } from './lib/http.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// Margins, header and footer come from the page's @page rules
+const PDF_OPTIONS = {
+  format: 'Letter',
+  printBackground: true,
+  preferCSSPageSize: true,
+  outline: true,
+  tagged: true
+};
+
+const RENDER_TIMEOUT = 30000;
+
+const args = process.argv.slice(2);
+const required = args.includes('--require');
+const directory = path.resolve(ROOT, args.find(arg => !arg.startsWith('--')) || 'dist');
+const archiveDir = path.join(directory, 'sonora', 'legal');
+
+/**
+ * Every archived version, as { html, pdf } paths relative to the site root
+ */
+async function findDocuments() {
+  const entries = await readdir(archiveDir, { withFileTypes: true });
+  const documents = [];
+
+  for (const entry of entries.filter(item => item.isDirectory()).sort((a, b) => a.name.localeCompare(b.name))) {
+    let history;
+    try {
+      history = JSON.parse(await readFile(path.join(archiveDir, entry.name, 'versions.json'), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') continue;
+      throw error;
+    }
+
+    history.versions.forEach(version => {
+      const base = `sonora/legal/${entry.name}/`;
+      documents.push({ html: base + version.url, pdf: base + version.url.replace(/\.html$/, '.pdf') });
+    });
+  }
+
+  return documents;
+}
+
+function countPages(pdf) {
+  return (pdf.toString('latin1').match(/\/Type\s*\/Page(?![s\w])/g) || []).length;
+}
+
+async function launchBrowser() {
+  try {
+    // Chrome won't sandbox itself as root, which is how most CI containers run
+    return await puppeteer.launch({
+      args: process.getuid && process.getuid() === 0 ? ['--no-sandbox'] : []
+    });
+  } catch (error) {
+    if (required) throw new Error(`headless Chrome didn't start: ${error.message}`);
+
+    console.warn(`⚠️ Skipping the legal PDFs: headless Chrome didn't start (${error.message.split('\n')[0]})`);
+    console.warn('   The pages hide their Download PDF link. Run npx puppeteer browsers install chrome to render them.');
+    return null;
+  }
+}
+
+async function build() {
+  const documents = await findDocuments();
+  const browser = await launchBrowser();
+  if (!browser) return;
+
+  const server = await serveStatic(directory);
+  const origin = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    for (const { html, pdf } of documents) {
+      const page = await browser.newPage();
+      // The offline feature's worker has nothing to add to a one-off render
+      await page.setBypassServiceWorker(true);
+
+      await page.goto(`${origin}/${html}?print=1`, { waitUntil: 'networkidle0', timeout: RENDER_TIMEOUT });
+      await page.waitForSelector('html.print-mode body.loaded', { timeout: RENDER_TIMEOUT });
+      await page.evaluate('document.fonts.ready');
+
+      const content = Buffer.from(await page.pdf(PDF_OPTIONS));
+      await writeFile(path.join(directory, pdf), content);
+      await page.close();
+
+      const pages = countPages(content);
+      console.log(`📄 ${pdf}  ${pages} page${pages === 1 ? '' : 's'}, ${(content.length / 1024).toFixed(1)} KB`);
+    }
+  } finally {
+    await browser.close();
+    server.close();
+  }
+
+  console.log(`✅ Rendered ${documents.length} legal PDF(s) into ${path.relative(ROOT, directory) || '.'}/`);
+}
+
+build().catch(error => {
+  console.error('❌ PDF build failed:', error.message);
+  process.exitCode = 2;
+});
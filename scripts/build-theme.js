@@ -0,0 +1,89 @@
+/**
+ * Write the theme bootstrap into the head of every Sonora page
+ *
+ * Each page paints its theme before first paint with an inline copy of
+ * bootstrapTheme() from src/modules/ThemeManager.js, which also owns the
+ * stored preference format the snippet reads. This replaces the <script>
+ * after each page's "Theme bootstrap" comment with getThemeBootstrapScript(),
+ * so the copies can't drift from the module. Archived legal pages are copies
+ * of the live ones: run npm run build:legal afterwards to carry changes over.
+ *
+ * Usage: node scripts/build-theme.js [--check]
+ *   --check  exit 1 if any page's copy is out of date instead of writing it
+ */
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { listFiles } from './lib/files.js';
+import { getThemeBootstrapScript } from '../src/modules/ThemeManager.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const SONORA_DIR = path.join(ROOT, 'sonora');
+
+const MARKER = '<!-- Theme bootstrap: generated from bootstrapTheme() in src/modules/ThemeManager.js by npm run build:theme, runs before first paint -->';
+const BOOTSTRAP_PATTERN = /^([ \t]*)<!-- Theme bootstrap:[^>]*-->\n[ \t]*<script>\n[\s\S]*?\n[ \t]*<\/script>$/m;
+
+// The module is indented by two spaces, the pages by four
+const INDENT = '    ';
+
+const checkOnly = process.argv.includes('--check');
+
+function renderBootstrap(indent) {
+  const script = getThemeBootstrapScript()
+    .split('\n')
+    .map(line => {
+      const [, leading, rest] = line.match(/^((?: {2})*)(.*)$/);
+      return rest ? `${indent}${INDENT}${INDENT.repeat(leading.length / 2)}${rest}` : '';
+    });
+
+  return [`${indent}${MARKER}`, `${indent}<script>`, ...script, `${indent}</script>`].join('\n');
+}
+
+async function build() {
+  const pages = (await listFiles(SONORA_DIR)).filter(file => file.endsWith('.html'));
+  const missing = [];
+  const stale = [];
+
+  for (const page of pages) {
+    const file = path.join(SONORA_DIR, page);
+    const html = await readFile(file, 'utf8');
+    const where = path.relative(ROOT, file);
+
+    const match = html.match(BOOTSTRAP_PATTERN);
+    if (!match) {
+      missing.push(where);
+      continue;
+    }
+
+    const updated = html.replace(BOOTSTRAP_PATTERN, renderBootstrap(match[1]));
+    if (updated === html) continue;
+
+    stale.push(where);
+    if (!checkOnly) await writeFile(file, updated);
+  }
+
+  if (missing.length > 0) {
+    console.error(`❌ No theme bootstrap found - add the "Theme bootstrap" comment and <script> to the <head> of:\n  ${missing.join('\n  ')}`);
+    process.exitCode = 1;
+  }
+
+  if (checkOnly) {
+    if (stale.length > 0) {
+      console.error(`❌ Theme bootstrap is out of date - run npm run build:theme:\n  ${stale.join('\n  ')}`);
+      process.exitCode = 1;
+    } else if (missing.length === 0) {
+      console.log(`✅ Theme bootstrap is up to date in ${pages.length} page(s)`);
+    }
+    return;
+  }
+
+  console.log(stale.length > 0
+    ? `🎨 Updated the theme bootstrap in ${stale.length} page(s):\n  ${stale.join('\n  ')}`
+    : '✅ Theme bootstrap is up to date');
+}
+
+build().catch(error => {
+  console.error('❌ Theme bootstrap build failed:', error.message);
+  process.exitCode = 2;
+});
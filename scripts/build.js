@@ -0,0 +1,227 @@
+/**
+ * Build the deployable site into dist/
+ *
+ * - Copies the pages and static files the site publishes, so every page URL
+ *   (including the root redirect in index.html) keeps working
+ * - Bundles and minifies the src/ module entry points the pages load
+ * - Moves the CSS Sonora pages repeat into stylesheets shared by the pages
+ *   that use them and minifies what's left inline
+ * - Fingerprints the bundles and stylesheet and rewrites each page to use them
+ * - Lists those assets in the service worker's precache and versions its
+ *   caches by the pages' content
+ *
+ * Usage: node scripts/build.js
+ */
+import { createHash } from 'node:crypto';
+import { cp, mkdir, readFile, readdir, rm, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import * as esbuild from 'esbuild';
+
+import { extractSharedBlocks } from './lib/css.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const DIST_DIR = path.join(ROOT, 'dist');
+const ASSETS_DIR = path.join(DIST_DIR, 'assets');
+const SRC_DIR = path.join(ROOT, 'src');
+
+// What the site publishes besides the bundles; the pages only load src/ through them
+const PUBLISHED = ['index.html', 'style.css', 'sonora'];
+
+// Pages whose assets are rebuilt; everything else is copied as is
+const PAGES_DIR = 'sonora';
+
+// Served by the service worker when the network is down, so its CSS stays inline
+const STANDALONE_PAGES = new Set(['sonora/offline.html']);
+
+const SERVICE_WORKER = 'sonora/sw.js';
+const WORKER_VERSION_PATTERN = /^const VERSION = '[^']*';$/m;
+const WORKER_PRECACHE_PATTERN = /^const PRECACHE_URLS = (\[[\s\S]*?\]);$/m;
+
+const BROWSER_TARGET = ['es2020', 'chrome87', 'firefox78', 'safari14'];
+
+// Shared CSS smaller than this (before minifying) stays inline rather than costing a request
+const MIN_SHARED_CSS = 512;
+
+const STYLE_PATTERN = /^([ \t]*)<style>([\s\S]*?)<\/style>/m;
+const MODULE_SCRIPT_PATTERN = /<script type="module" src="([^"]+)"><\/script>/g;
+const PAGE_ASSET_PATTERN = /<(?:script type="module" src|link rel="stylesheet" href)="([^"]+)"/g;
+
+function fingerprint(content) {
+  return createHash('sha256').update(content).digest('hex').slice(0, 8);
+}
+
+function toUrlPath(from, to) {
+  return path.relative(path.dirname(from), to).split(path.sep).join('/');
+}
+
+async function findPages(directory) {
+  const entries = await readdir(directory, { withFileTypes: true });
+  const pages = await Promise.all(entries.map(entry => {
+    const file = path.join(directory, entry.name);
+    if (entry.isDirectory()) return findPages(file);
+    return entry.name.endsWith('.html') ? [file] : [];
+  }));
+  return pages.flat().sort();
+}
+
+/**
+ * The src/ files each page loads as module entry points
+ */
+function findEntryPoints(pages) {
+  const entries = new Set();
+
+  pages.forEach(({ file, html }) => {
+    for (const [, src] of html.matchAll(MODULE_SCRIPT_PATTERN)) {
+      const target = path.resolve(path.dirname(file), src);
+      if (target.startsWith(SRC_DIR + path.sep)) entries.add(target);
+    }
+  });
+
+  return [...entries].sort();
+}
+
+async function writeAsset(name, extension, content) {
+  const file = path.join(ASSETS_DIR, `${name}.${fingerprint(content)}.${extension}`);
+  await writeFile(file, content);
+  return file;
+}
+
+/**
+ * Bundle each entry point on its own; returns source path -> dist file
+ */
+async function bundleScripts(entryPoints) {
+  const bundles = new Map();
+
+  for (const entry of entryPoints) {
+    const result = await esbuild.build({
+      entryPoints: [entry],
+      bundle: true,
+      format: 'esm',
+      minify: true,
+      target: BROWSER_TARGET,
+      legalComments: 'none',
+      write: false
+    });
+
+    const name = path.basename(entry, '.js');
+    bundles.set(entry, await writeAsset(name, 'js', result.outputFiles[0].contents));
+  }
+
+  return bundles;
+}
+
+async function minifyCss(blocks) {
+  if (blocks.length === 0) return '';
+
+  const { code } = await esbuild.transform(blocks.join('\n'), {
+    loader: 'css',
+    minify: true,
+    target: BROWSER_TARGET
+  });
+  return code.trim();
+}
+
+/**
+ * Add the assets each precached page loads to the service worker's list, and
+ * name its caches after the pages' content: fingerprinted asset names are part
+ * of it, so any change to a page or its assets replaces the caches on deploy
+ */
+async function buildServiceWorker() {
+  const file = path.join(DIST_DIR, SERVICE_WORKER);
+  const source = await readFile(file, 'utf8');
+  const list = source.match(WORKER_PRECACHE_PATTERN);
+  if (!list || !WORKER_VERSION_PATTERN.test(source)) {
+    throw new Error(`${SERVICE_WORKER} no longer declares VERSION and PRECACHE_URLS`);
+  }
+
+  const entries = JSON.parse(list[1].replace(/'/g, '"'));
+  const urls = new Set(entries);
+  const hash = createHash('sha256');
+
+  for (const url of entries) {
+    let page = path.join(path.dirname(file), url);
+    if (url.endsWith('/')) page = path.join(page, 'index.html');
+
+    const html = await readFile(page, 'utf8');
+    hash.update(html);
+    for (const [, href] of html.matchAll(PAGE_ASSET_PATTERN)) {
+      if (/^[a-z][a-z0-9+.-]*:|^\//i.test(href)) continue;
+      urls.add(toUrlPath(file, path.resolve(path.dirname(page), href)));
+    }
+  }
+
+  const version = hash.digest('hex').slice(0, 8);
+  await writeFile(file, source
+    .replace(WORKER_VERSION_PATTERN, `const VERSION = '${version}';`)
+    .replace(WORKER_PRECACHE_PATTERN, `const PRECACHE_URLS = [\n${[...urls].map(url => `  '${url}'`).join(',\n')}\n];`));
+
+  return { version, count: urls.size };
+}
+
+async function build() {
+  await rm(DIST_DIR, { recursive: true, force: true });
+  await mkdir(ASSETS_DIR, { recursive: true });
+
+  for (const entry of PUBLISHED) {
+    await cp(path.join(ROOT, entry), path.join(DIST_DIR, entry), { recursive: true });
+  }
+
+  const pages = await Promise.all((await findPages(path.join(DIST_DIR, PAGES_DIR))).map(async file => ({
+    file,
+    source: path.join(ROOT, path.relative(DIST_DIR, file)),
+    html: await readFile(file, 'utf8')
+  })));
+
+  const bundles = await bundleScripts(findEntryPoints(pages.map(page => ({ file: page.source, html: page.html }))));
+
+  const styled = pages.filter(page => STYLE_PATTERN.test(page.html)
+    && !STANDALONE_PAGES.has(path.relative(DIST_DIR, page.file).split(path.sep).join('/')));
+  const { groups, pages: remainders } = extractSharedBlocks(
+    styled.map(page => page.html.match(STYLE_PATTERN)[2]),
+    { minGroupSize: MIN_SHARED_CSS }
+  );
+  const sharedCss = [];
+  for (const [index, group] of groups.entries()) {
+    sharedCss.push(await writeAsset(groups.length === 1 ? 'sonora' : `sonora-${index + 1}`, 'css', await minifyCss(group.blocks)));
+  }
+
+  for (const page of pages) {
+    let html = page.html.replace(MODULE_SCRIPT_PATTERN, (match, src) => {
+      const bundle = bundles.get(path.resolve(path.dirname(page.source), src));
+      return bundle ? `<script type="module" src="${toUrlPath(page.file, bundle)}"></script>` : match;
+    });
+
+    const index = styled.indexOf(page);
+    if (index !== -1) {
+      const css = await minifyCss(remainders[index]);
+
+      const links = sharedCss.filter((file, groupIndex) => groups[groupIndex].pages.includes(index));
+
+      html = html.replace(STYLE_PATTERN, (match, indent) => [
+        ...links.map(file => `${indent}<link rel="stylesheet" href="${toUrlPath(page.file, file)}">`),
+        css ? `${indent}<style>${css}</style>` : null
+      ].filter(Boolean).join('\n'));
+    }
+
+    await writeFile(page.file, html);
+  }
+
+  const worker = await buildServiceWorker();
+
+  const assets = await readdir(ASSETS_DIR);
+  console.log(`📦 Built ${pages.length} pages into ${path.relative(ROOT, DIST_DIR)}/`);
+  for (const asset of assets.sort()) {
+    const { length } = await readFile(path.join(ASSETS_DIR, asset));
+    console.log(`  assets/${asset}  ${(length / 1024).toFixed(1)} KB`);
+  }
+  groups.forEach((group, index) => {
+    console.log(`  ${path.basename(sharedCss[index])}: ${group.blocks.length} CSS blocks shared by ${group.pages.length} of ${styled.length} pages`);
+  });
+  console.log(`  ${SERVICE_WORKER} precaches ${worker.count} URLs (version ${worker.version})`);
+}
+
+build().catch(error => {
+  console.error('❌ Build failed:', error.message);
+  process.exitCode = 1;
+});
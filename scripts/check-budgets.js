@@ -0,0 +1,268 @@
+/**
+ * Performance budget check for the Sonora pages
+ *
+ * For every URL in scripts/budgets.json, finds what the built page loads
+ * (stylesheets and what they pull in, scripts, images) and compares its HTML,
+ * CSS, JS and image bytes and its request count with the budget. Text is
+ * measured after compression (gzip by default, as GitHub Pages serves it);
+ * images as stored. Raw, gzip and brotli sizes are all reported.
+ *
+ * With --record (npm run deploy passes it), the results are appended to
+ * scripts/budget-history.json, which is committed, so later runs can show
+ * what changed since.
+ *
+ * Usage: node scripts/check-budgets.js [--json] [--record] [directory]   (defaults to dist/)
+ * Exits 1 when a budget is exceeded, 2 if the check itself fails.
+ */
+import { execFileSync } from 'node:child_process';
+import { readFile, stat, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { brotliCompressSync, constants, gzipSync } from 'node:zlib';
+import { JSDOM } from 'jsdom';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const BUDGET_FILE = path.join(ROOT, 'scripts', 'budgets.json');
+const HISTORY_FILE = path.join(ROOT, 'scripts', 'budget-history.json');
+const SITE_ORIGIN = 'https://samuelkahessay.github.io';
+
+// Entries kept in the history file
+const HISTORY_LIMIT = 100;
+
+const CATEGORIES = ['html', 'css', 'js', 'images'];
+const TEXT_CATEGORIES = new Set(['html', 'css', 'js']);
+
+const IMAGE_EXTENSIONS = new Set(['.avif', '.webp', '.jpg', '.jpeg', '.png', '.gif', '.svg', '.ico']);
+
+const args = process.argv.slice(2);
+const asJson = args.includes('--json');
+const record = args.includes('--record');
+const directory = path.resolve(ROOT, args.find(arg => !arg.startsWith('--')) || 'dist');
+
+function formatBytes(bytes) {
+  return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+function formatDelta(bytes) {
+  if (bytes === 0) return '±0';
+  return `${bytes > 0 ? '+' : '-'}${formatBytes(Math.abs(bytes))}`;
+}
+
+function currentCommit() {
+  try {
+    return execFileSync('git', ['rev-parse', '--short', 'HEAD'], { cwd: ROOT, encoding: 'utf8' }).trim();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Raw, gzip and brotli sizes of one file
+ */
+function measure(content, compress) {
+  return {
+    raw: content.length,
+    gzip: compress ? gzipSync(content, { level: 9 }).length : content.length,
+    brotli: compress
+      ? brotliCompressSync(content, { params: { [constants.BROTLI_PARAM_QUALITY]: 11 } }).length
+      : content.length
+  };
+}
+
+/**
+ * Map a site URL to a file: directories serve their index.html
+ */
+async function resolveFile(url) {
+  const file = path.join(directory, decodeURIComponent(url.pathname));
+  if (!file.startsWith(directory)) return null;
+
+  try {
+    const stats = await stat(file);
+    return stats.isDirectory() ? path.join(file, 'index.html') : file;
+  } catch (error) {
+    return null;
+  }
+}
+
+function srcsetUrls(srcset) {
+  return srcset.split(',').map(candidate => candidate.trim().split(/\s+/)[0]).filter(Boolean);
+}
+
+/**
+ * Everything a page requests up front, as [category, absolute URL]
+ */
+function pageResources(document, pageUrl) {
+  const resources = [];
+  const add = (category, value) => {
+    if (!value || value.startsWith('data:')) return;
+    resources.push([category, new URL(value, pageUrl)]);
+  };
+
+  document.querySelectorAll('link[rel~="stylesheet"][href]').forEach(link => add('css', link.getAttribute('href')));
+  document.querySelectorAll('script[src]').forEach(script => add('js', script.getAttribute('src')));
+  document.querySelectorAll('link[rel~="icon"][href], link[rel="preload"][as="image"][href]').forEach(link => add('images', link.getAttribute('href')));
+  // A lazy image (scripts/build-images.js) is counted at its fallback size;
+  // which srcset candidate a visitor gets depends on their screen
+  document.querySelectorAll('img[src]:not(noscript img), img[data-src]').forEach(img => {
+    add('images', img.getAttribute('src') || img.dataset.src);
+  });
+  document.querySelectorAll('img[srcset], source[srcset]').forEach(element => {
+    srcsetUrls(element.getAttribute('srcset')).forEach(url => add('images', url));
+  });
+
+  return resources;
+}
+
+/**
+ * url() and @import references in a stylesheet
+ */
+function stylesheetResources(css, sheetUrl) {
+  const references = [];
+  for (const [, , value] of css.matchAll(/url\(\s*(['"]?)([^'")]+)\1\s*\)/g)) {
+    if (value.startsWith('data:') || value.startsWith('#')) continue;
+
+    const url = new URL(value, sheetUrl);
+    const category = IMAGE_EXTENSIONS.has(path.extname(url.pathname).toLowerCase()) ? 'images'
+      : /\.css$/i.test(url.pathname) ? 'css' : 'fonts';
+    references.push([category, url]);
+  }
+  return references;
+}
+
+async function measurePage(pageUrl) {
+  const file = await resolveFile(pageUrl);
+  if (!file) throw new Error(`${pageUrl.pathname} is not in ${path.relative(ROOT, directory) || '.'}/`);
+
+  const html = await readFile(file);
+  const { document } = new JSDOM(html).window;
+
+  const files = [{ category: 'html', url: pageUrl.pathname, ...measure(html, true) }];
+  const external = [];
+  const seen = new Set([pageUrl.href]);
+  const queue = pageResources(document, pageUrl);
+
+  while (queue.length > 0) {
+    const [category, url] = queue.shift();
+    const key = url.href.split('#')[0];
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    if (url.origin !== pageUrl.origin) {
+      external.push(url.href);
+      continue;
+    }
+
+    const resource = await resolveFile(url);
+    if (!resource) throw new Error(`${pageUrl.pathname} loads ${url.pathname}, which is missing`);
+
+    const content = await readFile(resource);
+    files.push({ category, url: url.pathname, ...measure(content, TEXT_CATEGORIES.has(category)) });
+
+    if (category === 'css') queue.push(...stylesheetResources(content.toString('utf8'), url));
+  }
+
+  return { files, external, requests: files.length + external.length };
+}
+
+function summarize(result, compression) {
+  const totals = Object.fromEntries(CATEGORIES.map(category => [category, 0]));
+  result.files.forEach(file => {
+    if (totals[file.category] !== undefined) {
+      totals[file.category] += TEXT_CATEGORIES.has(file.category) ? file[compression] : file.raw;
+    }
+  });
+  return { ...totals, requests: result.requests };
+}
+
+function checkBudget(url, totals, budget) {
+  return [...CATEGORIES, 'requests']
+    .filter(key => budget[key] !== undefined && totals[key] > budget[key])
+    .map(key => ({ url, key, actual: totals[key], budget: budget[key] }));
+}
+
+async function readJson(file, fallback) {
+  try {
+    return JSON.parse(await readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw error;
+  }
+}
+
+function printPage(url, result, totals, budget, previous, compression) {
+  console.log(`\n${url}`);
+
+  [...CATEGORIES, 'requests'].forEach(key => {
+    const limit = budget[key];
+    const actual = totals[key];
+    const over = limit !== undefined && actual > limit;
+    const since = previous && previous[key] !== undefined && previous[key] !== actual
+      ? ` (${key === 'requests' ? `${actual - previous[key] > 0 ? '+' : ''}${actual - previous[key]}` : formatDelta(actual - previous[key])} since last record)`
+      : '';
+    const shown = key === 'requests' ? String(actual) : formatBytes(actual);
+    const limitShown = limit === undefined ? 'no budget' : `budget ${key === 'requests' ? limit : formatBytes(limit)}`;
+
+    console.log(`  ${over ? '❌' : '✅'} ${key.padEnd(8)} ${shown.padStart(9)}  ${limitShown}${since}`);
+  });
+
+  result.files.forEach(file => {
+    const sizes = TEXT_CATEGORIES.has(file.category)
+      ? `${formatBytes(file.raw)} raw, ${formatBytes(file.gzip)} gzip, ${formatBytes(file.brotli)} brotli`
+      : formatBytes(file.raw);
+    console.log(`       ${file.url}  ${sizes}`);
+  });
+  result.external.forEach(url => console.log(`       ${url}  (external, not measured)`));
+
+  if (compression !== 'gzip') console.log(`       text budgets measured with ${compression}`);
+}
+
+async function main() {
+  const config = await readJson(BUDGET_FILE, null);
+  if (!config) throw new Error(`${path.relative(ROOT, BUDGET_FILE)} is missing`);
+
+  const compression = config.compression || 'gzip';
+  if (!['raw', 'gzip', 'brotli'].includes(compression)) {
+    throw new Error(`compression must be raw, gzip or brotli, not "${compression}"`);
+  }
+
+  const history = await readJson(HISTORY_FILE, []);
+  const last = history[history.length - 1] || null;
+
+  const pages = {};
+  const overruns = [];
+
+  for (const [url, budget] of Object.entries(config.pages)) {
+    const result = await measurePage(new URL(url, SITE_ORIGIN));
+    const totals = summarize(result, compression);
+    pages[url] = { totals, files: result.files, external: result.external };
+    overruns.push(...checkBudget(url, totals, budget));
+
+    if (!asJson) printPage(url, result, totals, budget, last && last.pages[url], compression);
+  }
+
+  if (asJson) {
+    console.log(JSON.stringify({ compression, pages, overruns }, null, 2));
+  } else {
+    console.log(overruns.length > 0
+      ? `\n❌ ${overruns.length} budget(s) exceeded: ${overruns.map(({ url, key }) => `${url} ${key}`).join(', ')}`
+      : `\n✅ All ${Object.keys(pages).length} pages are within budget${last ? ` (compared with ${last.commit || last.date})` : ''}`);
+  }
+
+  if (record) {
+    history.push({
+      date: new Date().toISOString(),
+      commit: currentCommit(),
+      compression,
+      pages: Object.fromEntries(Object.entries(pages).map(([url, { totals }]) => [url, totals]))
+    });
+    await writeFile(HISTORY_FILE, JSON.stringify(history.slice(-HISTORY_LIMIT), null, 2) + '\n');
+    if (!asJson) console.log(`📝 Recorded in ${path.relative(ROOT, HISTORY_FILE)}`);
+  }
+
+  if (overruns.length > 0) process.exitCode = 1;
+}
+
+main().catch(error => {
+  console.error('❌ Budget check crashed:', error.message);
+  process.exitCode = 2;
+});
@@ -0,0 +1,207 @@
+/**
+ * Offline link checker for every page in the tree
+ *
+ * Parses each HTML file and checks, without touching the network:
+ *   - relative and root-relative hrefs/srcs point at files that exist
+ *   - #fragments (on the same page or another one) match an element id
+ *   - mailto:, tel: and external links pass validateUrl() from src/utils/links.js
+ * Links back to this site by absolute URL are checked like relative ones.
+ *
+ * Usage: node scripts/check-links.js [--json] [directory]   (defaults to the repository root)
+ * Exits 1 when a link is broken, 2 if the check itself fails.
+ */
+import { readFile, stat } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { JSDOM } from 'jsdom';
+
+import { listFiles } from './lib/files.js';
+import { classifyLink, validateUrl } from '../src/utils/links.js';
+import { addSink } from '../src/utils/logger.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const SITE_ORIGIN = 'https://samuelkahessay.github.io';
+
+// Fragments the browser handles without a matching element
+const BUILT_IN_FRAGMENTS = new Set(['', 'top']);
+
+const LINK_ATTRIBUTES = [
+  ['a[href]', 'href'],
+  ['area[href]', 'href'],
+  ['link[href]', 'href'],
+  ['script[src]', 'src'],
+  ['img[src]', 'src'],
+  ['source[src]', 'src'],
+  ['iframe[src]', 'src']
+];
+
+const args = process.argv.slice(2);
+const asJson = args.includes('--json');
+const directory = path.resolve(ROOT, args.find(arg => !arg.startsWith('--')) || '.');
+
+const documents = new Map();
+
+/**
+ * Parsed pages are cached, since most fragments point into a handful of them
+ */
+async function loadDocument(file) {
+  if (!documents.has(file)) {
+    const html = await readFile(path.join(directory, file), 'utf8');
+    documents.set(file, new JSDOM(html, { includeNodeLocations: true }));
+  }
+  return documents.get(file);
+}
+
+async function exists(file) {
+  try {
+    return await stat(path.join(directory, file));
+  } catch (error) {
+    return null;
+  }
+}
+
+function hasFragmentTarget(document, fragment) {
+  let id;
+  try {
+    id = decodeURIComponent(fragment);
+  } catch (error) {
+    id = fragment;
+  }
+
+  return BUILT_IN_FRAGMENTS.has(id.toLowerCase())
+    || document.getElementById(id) !== null
+    || document.getElementsByName(id).length > 0;
+}
+
+/**
+ * validateUrl() logs why it rejects a URL; keep that as the reason
+ */
+function validate(url) {
+  const messages = [];
+  const removeSink = addSink({
+    level: 'warn',
+    write: ({ namespace, args }) => {
+      if (namespace === 'links') messages.push(args.join(' '));
+    }
+  });
+
+  try {
+    return validateUrl(url) ? null : messages.join('; ') || 'rejected by validateUrl()';
+  } finally {
+    removeSink();
+  }
+}
+
+/**
+ * Map a site path to a file: directories serve their index.html
+ */
+async function resolveFile(sitePath) {
+  const file = decodeURIComponent(sitePath).replace(/^\/+/, '');
+  const stats = await exists(file);
+
+  if (stats && stats.isDirectory()) {
+    const index = path.posix.join(file, 'index.html');
+    return (await exists(index)) ? index : null;
+  }
+  return stats ? file : null;
+}
+
+async function checkInternal(page, url) {
+  const target = await resolveFile(url.pathname);
+  if (!target) return `${url.pathname} does not exist`;
+
+  const fragment = url.hash.slice(1);
+  if (fragment && target.endsWith('.html')) {
+    const { window } = await loadDocument(target);
+    if (!hasFragmentTarget(window.document, fragment)) {
+      return target === page
+        ? `no element with id "${fragment}" on this page`
+        : `no element with id "${fragment}" in ${target}`;
+    }
+  }
+
+  return null;
+}
+
+async function checkLink(page, pageUrl, element, value) {
+  const kind = classifyLink(value);
+  const isAnchor = element.matches('a, area');
+
+  if (kind === 'fragment') {
+    const { window } = await loadDocument(page);
+    return hasFragmentTarget(window.document, value.slice(1)) ? null : `no element with id "${value.slice(1)}" on this page`;
+  }
+
+  if (kind === 'internal') {
+    return checkInternal(page, new URL(value, pageUrl));
+  }
+
+  if (kind === 'external' && new URL(value).origin === SITE_ORIGIN) {
+    return checkInternal(page, new URL(value));
+  }
+
+  // Inline icons and similar resources are fine; only navigable links are validated
+  if (!isAnchor) return null;
+
+  return validate(value);
+}
+
+async function checkPage(page) {
+  const dom = await loadDocument(page);
+  const { document } = dom.window;
+  const pageUrl = new URL(page, `${SITE_ORIGIN}/`);
+  const problems = [];
+
+  for (const [selector, attribute] of LINK_ATTRIBUTES) {
+    for (const element of document.querySelectorAll(selector)) {
+      const value = element.getAttribute(attribute).trim();
+      if (!value || value === '#') continue;
+
+      const reason = await checkLink(page, pageUrl, element, value);
+      if (reason) {
+        const location = dom.nodeLocation(element);
+        problems.push({ line: location ? location.startLine : null, link: value, reason });
+      }
+    }
+  }
+
+  return problems.sort((a, b) => a.line - b.line);
+}
+
+async function main() {
+  const files = await listFiles(directory, { ignore: directory === ROOT ? ['dist'] : [] });
+  const pages = files.filter(file => file.endsWith('.html'));
+  const report = [];
+  let linkCount = 0;
+
+  for (const page of pages) {
+    const problems = await checkPage(page);
+    const { document } = documents.get(page).window;
+    linkCount += LINK_ATTRIBUTES.reduce((count, [selector]) => count + document.querySelectorAll(selector).length, 0);
+
+    if (problems.length > 0) report.push({ page, problems });
+  }
+
+  documents.forEach(dom => dom.window.close());
+
+  const broken = report.reduce((count, { problems }) => count + problems.length, 0);
+
+  if (asJson) {
+    console.log(JSON.stringify({ pages: pages.length, links: linkCount, broken, report }, null, 2));
+  } else {
+    report.forEach(({ page, problems }) => {
+      console.log(`\n${page}`);
+      problems.forEach(({ line, link, reason }) => console.log(`  ${line ? `line ${line}: ` : ''}${link}\n    ${reason}`));
+    });
+    console.log(broken > 0
+      ? `\n❌ ${broken} broken link(s) across ${report.length} of ${pages.length} pages`
+      : `✅ ${linkCount} links across ${pages.length} pages are intact`);
+  }
+
+  if (broken > 0) process.exitCode = 1;
+}
+
+main().catch(error => {
+  console.error('❌ Link check crashed:', error.message);
+  process.exitCode = 2;
+});
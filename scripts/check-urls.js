@@ -0,0 +1,204 @@
+/**
+ * URL stability guard for the pages App Store Connect links to
+ *
+ * Serves a built tree over HTTP and requests every protected URL, checking the
+ * response, title, h1 and the scripts and stylesheets each page loads. Also
+ * enforces the README's discovery policy: no sitemaps, robots rules or extra
+ * index pages, every page noindex, and no canonical tag except the root
+ * redirect's. The service worker must stay in sonora/, where its scope can't
+ * reach other project sites, and everything it precaches must resolve.
+ *
+ * Usage: node scripts/check-urls.js [directory]   (defaults to dist/)
+ */
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { JSDOM } from 'jsdom';
+
+import { listFiles } from './lib/files.js';
+import { serveStatic } from './lib/http.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const CANONICAL_SITE = 'https://skahessay.dev/';
+const ROBOTS_POLICY = ['noindex', 'nofollow', 'noarchive'];
+
+const PROTECTED = [
+  {
+    url: '/sonora/',
+    title: 'Sonora — Transform Your Scattered Thoughts Into Organized Insights',
+    h1: 'Transform Your Scattered Thoughts Into Organized Insights'
+  },
+  { url: '/sonora/privacy-policy.html', title: 'Privacy Policy - Sonora', h1: 'How we protect your voice' },
+  { url: '/sonora/terms-of-service.html', title: 'Terms of Service - Sonora', h1: 'Our promise to you' },
+  { url: '/sonora/support.html', title: 'Support - Sonora', h1: "🎧 We're here to listen" }
+];
+
+// The only directory index pages the site is allowed to have
+const INDEX_PAGES = new Set(['index.html', 'sonora/index.html']);
+
+const SERVICE_WORKER = '/sonora/sw.js';
+const WORKER_NAMES = new Set(['sw.js', 'service-worker.js']);
+
+const directory = path.resolve(ROOT, process.argv[2] || 'dist');
+const failures = [];
+
+function fail(where, message) {
+  failures.push(`${where}: ${message}`);
+}
+
+function checkRobots(where, document) {
+  const robots = document.querySelector('meta[name="robots"]');
+  const directives = robots ? robots.content.split(',').map(value => value.trim().toLowerCase()) : [];
+
+  ROBOTS_POLICY.forEach(directive => {
+    if (!directives.includes(directive)) fail(where, `robots meta is missing "${directive}"`);
+  });
+}
+
+async function checkProtectedPage(origin, page) {
+  const response = await fetch(new URL(page.url, origin), { redirect: 'manual' });
+  if (response.status !== 200) {
+    fail(page.url, `expected 200, got ${response.status}`);
+    return;
+  }
+
+  const dom = new JSDOM(await response.text(), { url: new URL(page.url, origin).href });
+  const { document } = dom.window;
+
+  if (document.title.trim() !== page.title) {
+    fail(page.url, `title is "${document.title.trim()}", expected "${page.title}"`);
+  }
+
+  const h1 = document.querySelector('h1');
+  const heading = h1 ? h1.textContent.replace(/\s+/g, ' ').trim() : null;
+  if (heading !== page.h1) {
+    fail(page.url, `h1 is ${heading === null ? 'missing' : `"${heading}"`}, expected "${page.h1}"`);
+  }
+
+  // Fingerprinted assets are the likeliest thing to break after a build
+  const assets = [
+    ...Array.from(document.querySelectorAll('script[src]'), script => script.src),
+    ...Array.from(document.querySelectorAll('link[rel="stylesheet"][href]'), link => link.href)
+  ].filter(url => url.startsWith(origin));
+
+  for (const asset of assets) {
+    const assetResponse = await fetch(asset);
+    if (assetResponse.status !== 200) {
+      fail(page.url, `${new URL(asset).pathname} returned ${assetResponse.status}`);
+    }
+  }
+
+  dom.window.close();
+}
+
+async function checkRootRedirect(origin) {
+  const response = await fetch(new URL('/', origin));
+  if (response.status !== 200) {
+    fail('/', `expected 200, got ${response.status}`);
+    return;
+  }
+
+  const html = await response.text();
+  const { document } = new JSDOM(html).window;
+
+  const refresh = document.querySelector('meta[http-equiv="refresh"]');
+  if (!refresh || !refresh.content.includes(`url=${CANONICAL_SITE}`)) {
+    fail('/', `meta refresh no longer points at ${CANONICAL_SITE}`);
+  }
+  if (!html.includes(`window.location.replace('${CANONICAL_SITE}')`)) {
+    fail('/', `script redirect to ${CANONICAL_SITE} is missing`);
+  }
+
+  const canonical = document.querySelector('link[rel="canonical"]');
+  if (!canonical || canonical.href !== CANONICAL_SITE) {
+    fail('/', `canonical should be ${CANONICAL_SITE}`);
+  }
+
+  checkRobots('/', document);
+}
+
+/**
+ * Nothing in the tree may help crawlers discover the hidden pages
+ */
+async function checkDiscoveryPolicy(files) {
+  files.forEach(file => {
+    const name = path.posix.basename(file).toLowerCase();
+
+    if (/^sitemap.*\.xml(\.gz)?$/.test(name)) fail(`/${file}`, 'sitemaps are not allowed');
+    if (name === 'robots.txt') fail(`/${file}`, 'robots rules are not allowed');
+    if (name === 'index.html' && !INDEX_PAGES.has(file)) fail(`/${file}`, 'new index pages are not allowed');
+  });
+
+  for (const file of files.filter(name => name.endsWith('.html') && name !== 'index.html')) {
+    const { document } = new JSDOM(await readFile(path.join(directory, file), 'utf8')).window;
+    checkRobots(`/${file}`, document);
+
+    // Only the root redirect hands off to the canonical site
+    if (document.querySelector('link[rel="canonical"]')) {
+      fail(`/${file}`, 'canonical tags are only allowed on the root redirect');
+    }
+  }
+}
+
+/**
+ * One missing precache URL fails the worker's install, so check them all
+ */
+async function checkServiceWorker(origin, files) {
+  files
+    .filter(file => WORKER_NAMES.has(path.posix.basename(file)) && `/${file}` !== SERVICE_WORKER)
+    .forEach(file => fail(`/${file}`, `service workers belong in ${SERVICE_WORKER}, scoped to /sonora/`));
+
+  const workerUrl = new URL(SERVICE_WORKER, origin);
+  const response = await fetch(workerUrl);
+  if (response.status !== 200) {
+    fail(SERVICE_WORKER, `expected 200, got ${response.status}`);
+    return;
+  }
+
+  const list = (await response.text()).match(/^const PRECACHE_URLS = (\[[\s\S]*?\]);$/m);
+  if (!list) {
+    fail(SERVICE_WORKER, 'PRECACHE_URLS not found');
+    return;
+  }
+
+  for (const entry of JSON.parse(list[1].replace(/'/g, '"'))) {
+    const url = new URL(entry, workerUrl);
+    const precached = await fetch(url);
+    if (precached.status !== 200) {
+      fail(SERVICE_WORKER, `precaches ${url.pathname}, which returned ${precached.status}`);
+    }
+  }
+}
+
+async function main() {
+  // Checking the source tree shouldn't trip over a local build
+  const files = await listFiles(directory, { ignore: directory === ROOT ? ['dist'] : [] });
+  const server = await serveStatic(directory);
+  const origin = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    await checkRootRedirect(origin);
+    for (const page of PROTECTED) {
+      await checkProtectedPage(origin, page);
+    }
+    await checkDiscoveryPolicy(files);
+    await checkServiceWorker(origin, files);
+  } finally {
+    server.close();
+  }
+
+  const where = path.relative(ROOT, directory) || '.';
+  if (failures.length > 0) {
+    console.error(`❌ ${failures.length} URL check(s) failed in ${where}/:`);
+    failures.forEach(failure => console.error(`  ${failure}`));
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log(`✅ All ${PROTECTED.length + 1} protected URLs respond as expected in ${where}/`);
+}
+
+main().catch(error => {
+  console.error('❌ URL check crashed:', error.message);
+  process.exitCode = 2;
+});
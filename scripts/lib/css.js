@@ -0,0 +1,201 @@
+/**
+ * Just enough CSS parsing to find the rules the Sonora pages have in common
+ *
+ * A stylesheet is split into top-level blocks (a rule, an @media block, an
+ * @import statement...). Blocks are compared by their whitespace-normalised
+ * text, so the same rule copied into several pages counts as shared.
+ */
+
+/**
+ * Split a stylesheet into its top-level blocks, dropping comments
+ */
+export function splitBlocks(css) {
+  const blocks = [];
+  let depth = 0;
+  let start = 0;
+  let quote = null;
+
+  for (let i = 0; i < css.length; i++) {
+    const char = css[i];
+
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === quote) quote = null;
+      continue;
+    }
+
+    if (char === '/' && css[i + 1] === '*') {
+      const end = css.indexOf('*/', i + 2);
+      i = end === -1 ? css.length : end + 1;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}' || (char === ';' && depth === 0)) {
+      if (char === '}') depth--;
+      if (depth === 0) {
+        blocks.push(css.slice(start, i + 1));
+        start = i + 1;
+      }
+    }
+  }
+
+  return blocks
+    .map(block => block.replace(/\/\*[\s\S]*?\*\//g, '').replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+}
+
+/**
+ * [ids, classes/attributes/pseudo-classes, elements/pseudo-elements]
+ */
+export function specificity(selector) {
+  // :where() adds nothing; the other functional pseudo-classes count their argument
+  let rest = selector.replace(/:where\([^)]*\)/g, '').replace(/:(?:not|is|has)\(([^)]*)\)/g, ' $1 ');
+
+  const count = pattern => {
+    const matches = rest.match(pattern) || [];
+    rest = rest.replace(pattern, ' ');
+    return matches.length;
+  };
+
+  const ids = count(/#[\w-]+/g);
+  const elementsFromPseudo = count(/::[\w-]+|:(?:before|after|first-line|first-letter)\b/g);
+  const classes = count(/\.[\w-]+|\[[^\]]*\]|:[\w-]+(?:\([^)]*\))?/g);
+  const elements = count(/(?:^|[\s>+~(])[a-zA-Z][\w-]*/g) + elementsFromPseudo;
+
+  return [ids, classes, elements];
+}
+
+const rulesCache = new Map();
+
+/**
+ * The style rules in a block, with @media/@supports wrappers flattened
+ */
+function parseRules(block) {
+  if (!rulesCache.has(block)) rulesCache.set(block, readRules(block));
+  return rulesCache.get(block);
+}
+
+function readRules(block) {
+  if (!block.endsWith('}') || /^@(?:font-face|keyframes|-webkit-keyframes|page)\b/.test(block)) return [];
+
+  const open = block.indexOf('{');
+  const prelude = block.slice(0, open).trim();
+  const body = block.slice(open + 1, -1);
+
+  if (prelude.startsWith('@')) {
+    return splitBlocks(body).flatMap(parseRules);
+  }
+
+  const properties = new Set(
+    body.split(';')
+      .map(declaration => declaration.split(':')[0].trim().toLowerCase())
+      .filter(Boolean)
+  );
+
+  return [{ selectors: prelude.split(',').map(selector => selector.trim()), properties }];
+}
+
+/**
+ * Two blocks can only trade places safely if no rule in one could override a
+ * rule in the other purely by source order: same property, same specificity.
+ */
+function orderMatters(first, second) {
+  return parseRules(first).some(a => parseRules(second).some(b => {
+    if (![...a.properties].some(property => b.properties.has(property))) return false;
+
+    return a.selectors.some(selectorA => b.selectors.some(selectorB =>
+      specificity(selectorA).join() === specificity(selectorB).join()
+    ));
+  }));
+}
+
+/**
+ * Split each stylesheet into shared stylesheets and what's left for each page.
+ *
+ * Blocks that appear in two or more sheets are shared, grouped by the set of
+ * pages that use them. A page loads its groups first, the ones used by the
+ * most pages first, then its own blocks. When that would put a block ahead of
+ * one it used to follow (and could be overridden by, or override), that page
+ * keeps its own copy inline, so the cascade is unchanged; the block stays
+ * shared between the pages that can still load it early. Groups smaller than
+ * minGroupSize characters aren't worth a request, so they stay inline too.
+ *
+ * Returns { groups: [{ pages: [index], blocks: [block] }], pages: [[block]] },
+ * groups in load order and blocks in source order.
+ */
+export function extractSharedBlocks(sheets, { minGroupSize = 0 } = {}) {
+  const pages = sheets.map(splitBlocks);
+  const firstSeen = new Map([...new Set(pages.flat())].map((block, index) => [block, index]));
+  // The blocks each page loads from groups
+  const shared = pages.map(blocks => new Set(blocks));
+
+  let owners;
+  let changed = true;
+  while (changed) {
+    changed = false;
+
+    // A group has to be worth its request
+    owners = findOwners(shared);
+    const sizes = new Map();
+    owners.forEach((indices, block) => sizes.set(indices.join(), (sizes.get(indices.join()) || 0) + block.length));
+    owners.forEach((indices, block) => {
+      if (indices.length > 1 && sizes.get(indices.join()) >= minGroupSize) return;
+      indices.forEach(index => shared[index].delete(block));
+      changed = true;
+    });
+    owners = findOwners(shared);
+
+    pages.forEach((blocks, page) => {
+      const loadsFirst = (block, later) => {
+        if (!shared[page].has(block)) return false;
+        return compareGroups(owners.get(block), owners.get(later)) < 0
+          || (compareGroups(owners.get(block), owners.get(later)) === 0 && firstSeen.get(block) < firstSeen.get(later));
+      };
+
+      blocks.forEach((block, index) => {
+        blocks.slice(index + 1).forEach(later => {
+          if (later === block || !shared[page].has(later) || loadsFirst(block, later)) return;
+
+          if (orderMatters(block, later)) {
+            shared[page].delete(later);
+            changed = true;
+          }
+        });
+      });
+    });
+  }
+
+  const groups = new Map();
+  [...owners]
+    .sort(([a, pagesA], [b, pagesB]) => compareGroups(pagesA, pagesB) || firstSeen.get(a) - firstSeen.get(b))
+    .forEach(([block, indices]) => {
+      const key = indices.join();
+      if (!groups.has(key)) groups.set(key, { pages: indices, blocks: [] });
+      groups.get(key).blocks.push(block);
+    });
+
+  return {
+    groups: [...groups.values()],
+    pages: pages.map((blocks, index) => blocks.filter(block => !shared[index].has(block)))
+  };
+}
+
+/**
+ * block -> indices of the pages that load it from a group
+ */
+function findOwners(shared) {
+  const owners = new Map();
+  shared.forEach((blocks, index) => blocks.forEach(block => {
+    if (!owners.has(block)) owners.set(block, []);
+    owners.get(block).push(index);
+  }));
+  return owners;
+}
+
+/**
+ * Groups used by more pages load first; equally wide ones in page order
+ */
+function compareGroups(a, b) {
+  return b.length - a.length || a.join().localeCompare(b.join());
+}
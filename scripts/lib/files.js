@@ -0,0 +1,25 @@
+/**
+ * File helpers shared by the build and check scripts
+ */
+import { readdir } from 'node:fs/promises';
+import path from 'node:path';
+
+// Never part of the published site
+const ALWAYS_IGNORED = new Set(['node_modules']);
+
+/**
+ * Every file under `base` as a POSIX path relative to it, skipping
+ * dotfiles, node_modules and any top-level names in `ignore`
+ */
+export async function listFiles(base, { ignore = [] } = {}, relative = '') {
+  const entries = await readdir(path.join(base, relative), { withFileTypes: true });
+
+  const files = await Promise.all(entries.map(entry => {
+    const file = path.posix.join(relative, entry.name);
+    if (entry.name.startsWith('.') || ALWAYS_IGNORED.has(entry.name)) return [];
+    if (!relative && ignore.includes(entry.name)) return [];
+    return entry.isDirectory() ? listFiles(base, { ignore }, file) : [file];
+  }));
+
+  return files.flat().sort();
+}
@@ -0,0 +1,81 @@
+/**
+ * HTTP helpers for the local beacon receivers and the scripts that load the site
+ */
+import { readFile, stat } from 'node:fs/promises';
+import { createServer } from 'node:http';
+import path from 'node:path';
+
+const MAX_BODY = 16 * 1024;
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.pdf': 'application/pdf'
+};
+
+/**
+ * Read a request body as text, refusing anything over `limit` bytes
+ */
+export function readBody(request, limit = MAX_BODY) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    request.setEncoding('utf8');
+    request.on('data', chunk => {
+      body += chunk;
+      if (body.length > limit) {
+        reject(new Error('body too large'));
+        request.destroy();
+      }
+    });
+    request.on('end', () => resolve(body));
+    request.on('error', reject);
+  });
+}
+
+/**
+ * Respond with JSON (or nothing), allowing any origin: beacons come from the page's port
+ */
+export function sendJson(response, status, body) {
+  response.writeHead(status, {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Content-Type': 'application/json; charset=utf-8'
+  });
+  response.end(body === undefined ? undefined : JSON.stringify(body, null, 2));
+}
+
+/**
+ * A static server that resolves URLs the way GitHub Pages does, on a free
+ * local port. Resolves once it's listening.
+ */
+export function serveStatic(base) {
+  const server = createServer(async (request, response) => {
+    const { pathname } = new URL(request.url, 'http://localhost');
+    let file = path.join(base, decodeURIComponent(pathname));
+
+    try {
+      if (!file.startsWith(base)) throw new Error('outside the site');
+      if ((await stat(file)).isDirectory()) file = path.join(file, 'index.html');
+
+      const body = await readFile(file);
+      response.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' });
+      response.end(body);
+    } catch (error) {
+      response.writeHead(404, { 'Content-Type': 'text/plain' });
+      response.end('Not found');
+    }
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
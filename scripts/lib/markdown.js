@@ -0,0 +1,214 @@
+/**
+ * Minimal Markdown for the legal documents in legal/
+ *
+ * Supports front matter, `## Heading {#id .class}` sections, `###` headings,
+ * paragraphs, nested `-` / `1.` lists, **bold**, *italic*, `code`, [links](url)
+ * and raw HTML (a line starting with `<` opens an HTML block that runs to the
+ * next blank line). External links open in a new tab, as on the hand-written pages.
+ */
+
+const INDENT = '    ';
+const DEFAULT_SECTION_CLASS = 'section fade-in';
+
+const ESCAPES = { '\\*': '&#42;', '\\[': '&#91;', '\\]': '&#93;', '\\`': '&#96;', '\\\\': '&#92;' };
+
+/**
+ * Split `---`-fenced `key: value` front matter from the document body
+ */
+export function parseFrontMatter(source) {
+  const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!match) return { data: {}, body: source };
+
+  const data = {};
+  match[1].split(/\r?\n/).forEach(line => {
+    const field = line.match(/^([\w-]+):\s*(.*)$/);
+    if (field) {
+      data[field[1]] = field[2].trim().replace(/^(["'])(.*)\1$/, '$2');
+    }
+  });
+
+  return { data, body: source.slice(match[0].length) };
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&(?!#?\w+;)/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+export function escapeAttribute(text) {
+  return escapeHtml(text).replace(/"/g, '&quot;');
+}
+
+/**
+ * Render inline Markdown. Raw inline HTML tags pass through untouched.
+ */
+export function renderInline(text) {
+  const escaped = text
+    .replace(/\\[*[\]`\\]/g, match => ESCAPES[match])
+    .split(/(<\/?[a-zA-Z][^>]*>)/)
+    .map((part, index) => index % 2 ? part : escapeHtml(part))
+    .join('');
+
+  return escaped
+    .replace(/`([^`]+)`/g, '<code>$1</code>')
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, href) => {
+      const external = /^https?:\/\//.test(href) ? ' target="_blank" rel="noopener noreferrer"' : '';
+      return `<a href="${href}"${external}>${label}</a>`;
+    })
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/\*([^*]+)\*/g, '<em>$1</em>');
+}
+
+/**
+ * Parse `{#id .class .other}` off the end of a heading
+ */
+function parseAttributes(text) {
+  const match = text.match(/\s*\{([^}]*)\}\s*$/);
+  if (!match) return { text: text.trim(), id: null, classes: [] };
+
+  const tokens = match[1].trim().split(/\s+/);
+  return {
+    text: text.slice(0, match.index).trim(),
+    id: (tokens.find(token => token.startsWith('#')) || '').slice(1) || null,
+    classes: tokens.filter(token => token.startsWith('.')).map(token => token.slice(1))
+  };
+}
+
+const LIST_ITEM = /^(\s*)([-*]|\d+\.)\s+(.*)$/;
+
+function parseList(lines, start) {
+  const items = [];
+  const baseIndent = lines[start].match(LIST_ITEM)[1].length;
+  const ordered = /\d/.test(lines[start].match(LIST_ITEM)[2]);
+  let i = start;
+
+  while (i < lines.length) {
+    const match = lines[i].match(LIST_ITEM);
+    if (!match || match[1].length < baseIndent) break;
+
+    if (match[1].length > baseIndent) {
+      const nested = parseList(lines, i);
+      items[items.length - 1].children.push(nested.block);
+      i = nested.end;
+      continue;
+    }
+
+    items.push({ text: match[3], children: [] });
+    i++;
+  }
+
+  return { block: { type: 'list', ordered, items }, end: i };
+}
+
+/**
+ * Parse a document body into a preamble and its `##` sections
+ */
+export function parseDocument(body) {
+  const lines = body.split(/\r?\n/);
+  const document = { preamble: [], sections: [] };
+  let blocks = document.preamble;
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+    } else if (line.startsWith('## ')) {
+      const section = { ...parseAttributes(line.slice(3)), blocks: [] };
+      document.sections.push(section);
+      blocks = section.blocks;
+      i++;
+    } else if (/^#{3,6} /.test(line)) {
+      const level = line.match(/^#+/)[0].length;
+      blocks.push({ type: 'heading', level, ...parseAttributes(line.slice(level + 1)) });
+      i++;
+    } else if (line.trimStart().startsWith('<')) {
+      const html = [];
+      while (i < lines.length && lines[i].trim()) {
+        html.push(lines[i++]);
+      }
+      blocks.push({ type: 'html', lines: html });
+    } else if (LIST_ITEM.test(line)) {
+      const list = parseList(lines, i);
+      blocks.push(list.block);
+      i = list.end;
+    } else {
+      const text = [];
+      while (i < lines.length && lines[i].trim() && !LIST_ITEM.test(lines[i]) && !/^#{2,6} /.test(lines[i])) {
+        text.push(lines[i++].trim());
+      }
+      blocks.push({ type: 'paragraph', text: text.join(' ') });
+    }
+  }
+
+  return document;
+}
+
+function reindent(lines, depth) {
+  const margin = Math.min(...lines.map(line => line.match(/^\s*/)[0].length));
+  return lines.map(line => INDENT.repeat(depth) + line.slice(margin));
+}
+
+function renderList(list, depth) {
+  const tag = list.ordered ? 'ol' : 'ul';
+  const out = [`${INDENT.repeat(depth)}<${tag}>`];
+
+  list.items.forEach(item => {
+    if (item.children.length === 0) {
+      out.push(`${INDENT.repeat(depth + 1)}<li>${renderInline(item.text)}</li>`);
+      return;
+    }
+
+    out.push(`${INDENT.repeat(depth + 1)}<li>${renderInline(item.text)}`);
+    item.children.forEach(child => out.push(...renderList(child, depth + 2)));
+    out.push(`${INDENT.repeat(depth + 1)}</li>`);
+  });
+
+  out.push(`${INDENT.repeat(depth)}</${tag}>`);
+  return out;
+}
+
+/**
+ * Render parsed blocks as HTML lines indented `depth` levels
+ */
+export function renderBlocks(blocks, depth) {
+  const out = [];
+
+  blocks.forEach((block, index) => {
+    // Headings sit directly on top of the block they introduce
+    if (index > 0 && blocks[index - 1].type !== 'heading') out.push('');
+
+    switch (block.type) {
+      case 'heading': {
+        const id = block.id ? ` id="${block.id}"` : '';
+        out.push(`${INDENT.repeat(depth)}<h${block.level}${id}>${renderInline(block.text)}</h${block.level}>`);
+        break;
+      }
+      case 'html':
+        out.push(...reindent(block.lines, depth));
+        break;
+      case 'list':
+        out.push(...renderList(block, depth));
+        break;
+      default:
+        out.push(`${INDENT.repeat(depth)}<p>${renderInline(block.text)}</p>`);
+    }
+  });
+
+  return out;
+}
+
+export function renderSection(section, depth) {
+  const className = section.classes.length ? section.classes.join(' ') : DEFAULT_SECTION_CLASS;
+  const id = section.id ? ` id="${section.id}"` : '';
+
+  return [
+    `${INDENT.repeat(depth)}<section class="${className}"${id}>`,
+    `${INDENT.repeat(depth + 1)}<h2>${renderInline(section.text)}</h2>`,
+    ...renderBlocks(section.blocks, depth + 1),
+    `${INDENT.repeat(depth)}</section>`
+  ];
+}
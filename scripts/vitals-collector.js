@@ -0,0 +1,119 @@
+/**
+ * Local collector for the Core Web Vitals beacons from src/utils/performance.js
+ *
+ * Accepts beacons on POST /vitals and keeps every value in memory, then
+ * reports the 50th/75th/95th percentile of each metric per page path:
+ * GET /report for JSON, or the table printed on Ctrl+C. Point a page at it with
+ *
+ *   <meta name="vitals-endpoint" content="http://localhost:8788/vitals">
+ *
+ * (beacons are only sent with analytics consent; see scripts/analytics-receiver.js).
+ *
+ * Usage: node scripts/vitals-collector.js [port]   (defaults to 8788)
+ */
+import { createServer } from 'node:http';
+
+import { readBody, sendJson } from './lib/http.js';
+import { VITALS_SCHEMA_VERSION, VITALS_THRESHOLDS, rateMetric } from '../src/utils/performance.js';
+
+const PERCENTILES = [50, 75, 95];
+const port = Number(process.argv[2]) || 8788;
+
+// path -> metric -> [value]
+const samples = new Map();
+
+function validate(beacon) {
+  if (!beacon || typeof beacon !== 'object') return 'body is not a JSON object';
+  if (beacon.schema !== VITALS_SCHEMA_VERSION) return `schema must be ${VITALS_SCHEMA_VERSION}`;
+  if (typeof beacon.path !== 'string' || !beacon.path.startsWith('/')) return 'path must start with /';
+  if (!beacon.metrics || typeof beacon.metrics !== 'object') return 'metrics must be an object';
+
+  for (const [name, value] of Object.entries(beacon.metrics)) {
+    if (!VITALS_THRESHOLDS[name]) return `unknown metric "${name}"`;
+    if (!Number.isFinite(value) || value < 0) return `${name} must be a non-negative number`;
+  }
+
+  return null;
+}
+
+/**
+ * Nearest-rank percentile of sorted values
+ */
+function percentile(sorted, p) {
+  return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+function report() {
+  return Object.fromEntries(Array.from(samples, ([path, metrics]) => [
+    path,
+    Object.fromEntries(Array.from(metrics, ([name, values]) => {
+      const sorted = values.slice().sort((a, b) => a - b);
+      const summary = { count: sorted.length };
+      PERCENTILES.forEach(p => { summary[`p${p}`] = percentile(sorted, p); });
+      summary.rating = rateMetric(name, summary.p75);
+      return [name, summary];
+    }))
+  ]));
+}
+
+function printReport() {
+  const pages = report();
+  if (Object.keys(pages).length === 0) {
+    console.log('No beacons received');
+    return;
+  }
+
+  Object.entries(pages).forEach(([path, metrics]) => {
+    console.log(`\n${path}`);
+    Object.entries(metrics).forEach(([name, { count, p50, p75, p95, rating }]) => {
+      console.log(`  ${name.padEnd(5)} p50 ${p50}  p75 ${p75}  p95 ${p95}  (${count} samples, p75 ${rating})`);
+    });
+  });
+}
+
+const server = createServer(async (request, response) => {
+  const { pathname } = new URL(request.url, 'http://localhost');
+
+  if (request.method === 'OPTIONS') {
+    sendJson(response, 204);
+  } else if (request.method === 'GET' && pathname === '/report') {
+    sendJson(response, 200, report());
+  } else if (request.method === 'POST' && pathname === '/vitals') {
+    let beacon;
+    try {
+      beacon = JSON.parse(await readBody(request));
+    } catch (error) {
+      sendJson(response, 400, { error: error.message });
+      return;
+    }
+
+    const problem = validate(beacon);
+    if (problem) {
+      console.warn(`⚠️ Rejected beacon: ${problem}`);
+      sendJson(response, 400, { error: problem });
+      return;
+    }
+
+    if (!samples.has(beacon.path)) samples.set(beacon.path, new Map());
+    const metrics = samples.get(beacon.path);
+    Object.entries(beacon.metrics).forEach(([name, value]) => {
+      if (!metrics.has(name)) metrics.set(name, []);
+      metrics.get(name).push(value);
+    });
+
+    console.log(`📈 ${beacon.path} (${beacon.theme || 'unknown'} theme): ${Object.entries(beacon.metrics).map(([name, value]) => `${name} ${value}`).join(', ')}`);
+    sendJson(response, 204);
+  } else {
+    sendJson(response, 404, { error: 'not found' });
+  }
+});
+
+server.listen(port, '127.0.0.1', () => {
+  console.log(`📡 Vitals collector on http://127.0.0.1:${port}/vitals (percentiles at /report)`);
+});
+
+process.on('SIGINT', () => {
+  printReport();
+  server.close();
+  process.exit(0);
+});
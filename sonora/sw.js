@@ -0,0 +1,144 @@
+/**
+ * Service worker for the Sonora pages
+ *
+ * Registered by OfflineManager (the `offline` feature). It lives in sonora/, so
+ * its scope is /sonora/ and nothing else on the origin - other project sites
+ * like /squash-analysis/ - is ever routed through it.
+ *
+ * - Precaches the Sonora pages, the offline page and the assets they load
+ * - Serves them stale-while-revalidate: from the cache at once, refreshed in
+ *   the background for next time
+ * - Answers any other navigation it can't fetch with the offline page
+ * - Posts { type: 'legal-update', url, version, previous } to open pages when
+ *   a refreshed legal document has a new data-legal-version
+ *
+ * scripts/build.js rewrites VERSION and PRECACHE_URLS in dist/ with the
+ * fingerprinted assets and a hash of everything precached, so each deploy gets
+ * fresh caches. Caches are shared by the whole origin: only the ones named
+ * with CACHE_PREFIX are ours to delete.
+ */
+const CACHE_PREFIX = 'sonora-';
+const VERSION = 'dev';
+const PRECACHE_URLS = [
+  './',
+  './privacy-policy.html',
+  './terms-of-service.html',
+  './support.html',
+  './offline.html'
+];
+
+const PRECACHE = `${CACHE_PREFIX}precache-${VERSION}`;
+const RUNTIME = `${CACHE_PREFIX}runtime-${VERSION}`;
+const OFFLINE_URL = './offline.html';
+
+const LEGAL_VERSION_PATTERN = /data-legal-version="([^"]+)"/;
+
+// Requests the worker answers: its own pages and the built scripts and
+// stylesheets. Everything else goes straight to the network.
+const HANDLED_PATHS = [
+  new URL('./', self.location).pathname,
+  new URL('../assets/', self.location).pathname
+];
+
+self.addEventListener('install', event => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(PRECACHE);
+    // Straight from the network, not a stale HTTP cache entry
+    await cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' })));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith(CACHE_PREFIX) && name !== PRECACHE && name !== RUNTIME)
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+  if (!HANDLED_PATHS.some(path => url.pathname.startsWith(path))) return;
+
+  event.respondWith(request.mode === 'navigate'
+    ? handleNavigation(event)
+    : staleWhileRevalidate(event));
+});
+
+function isPrecached(url) {
+  return PRECACHE_URLS.some(entry => new URL(entry, self.location).pathname === url.pathname);
+}
+
+/**
+ * Fetch and store a fresh copy. Resolves to null when the network fails.
+ * previous is the cached copy of a page, to compare legal versions with.
+ */
+async function refresh(request, previous) {
+  let response;
+  try {
+    response = await fetch(request);
+  } catch (error) {
+    return null;
+  }
+
+  if (!response.ok || response.type !== 'basic') return response;
+
+  const url = new URL(request.url);
+  const cache = await caches.open(isPrecached(url) ? PRECACHE : RUNTIME);
+  // Query strings (?q=, ?since=) select content on the page, not a different page
+  const key = request.mode === 'navigate' ? url.origin + url.pathname : request;
+
+  await cache.put(key, response.clone());
+  if (previous) await notifyLegalUpdate(url, previous, response.clone());
+  return response;
+}
+
+async function staleWhileRevalidate(event) {
+  const cached = await caches.match(event.request);
+  const fresh = refresh(event.request, null);
+
+  if (cached) {
+    event.waitUntil(fresh);
+    return cached;
+  }
+
+  return (await fresh) || Response.error();
+}
+
+async function handleNavigation(event) {
+  const cached = await caches.match(event.request, { ignoreSearch: true });
+  // Cloned now: the original's body goes to the page
+  const fresh = refresh(event.request, cached ? cached.clone() : null);
+
+  if (cached) {
+    event.waitUntil(fresh);
+    return cached;
+  }
+
+  return (await fresh) || (await caches.match(OFFLINE_URL)) || Response.error();
+}
+
+async function legalVersion(response) {
+  const match = (await response.text()).match(LEGAL_VERSION_PATTERN);
+  return match ? match[1] : null;
+}
+
+/**
+ * Tell open pages when a legal document they may be showing from the cache
+ * has been replaced by a newer version
+ */
+async function notifyLegalUpdate(url, cached, fresh) {
+  const previous = await legalVersion(cached);
+  const version = await legalVersion(fresh);
+  if (!previous || !version || previous === version) return;
+
+  const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  clients.forEach(client => client.postMessage({ type: 'legal-update', url: url.href, version, previous }));
+}
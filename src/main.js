@@ -8,53 +8,227 @@ import { LoadingManager } from './modules/LoadingManager.js';
 import { NavigationManager } from './modules/NavigationManager.js';
 import { ThemeManager } from './modules/ThemeManager.js';
 import { AnimationManager } from './modules/AnimationManager.js';
+import { Accordion } from './modules/Accordion.js';
+import { FaqSearch } from './modules/FaqSearch.js';
+import { SupportComposer } from './modules/SupportComposer.js';
+import { TableOfContents } from './modules/TableOfContents.js';
+import { LegalHistory } from './modules/LegalHistory.js';
+import { OfflineManager } from './modules/OfflineManager.js';
+import { PrintMode } from './modules/PrintMode.js';
 
 // Import utilities
 import { createSkipLink } from './utils/accessibility.js';
-import { initPerformanceMonitoring } from './utils/performance.js';
+import { LazyLoader, initPerformanceMonitoring } from './utils/performance.js';
 import { handleExternalLinks } from './utils/links.js';
+import { initAnalytics } from './utils/analytics.js';
+import { EventBus } from './utils/eventBus.js';
+import { addSink, createLogger, createMemorySink } from './utils/logger.js';
+
+const log = createLogger('app');
+
+/**
+ * Modules a page can opt into, keyed by feature name, with the features each
+ * one needs started first
+ */
+const FEATURES = {
+  loading: { Module: LoadingManager },
+  navigation: { Module: NavigationManager },
+  theme: { Module: ThemeManager },
+  animation: { Module: AnimationManager },
+  accordion: { Module: Accordion },
+  // Deep links like ?q= expand answers through the accordion
+  search: { Module: FaqSearch, dependencies: ['accordion'] },
+  composer: { Module: SupportComposer },
+  toc: { Module: TableOfContents },
+  history: { Module: LegalHistory },
+  images: { Module: LazyLoader },
+  offline: { Module: OfflineManager },
+  // Prints in the light palette, which ThemeManager applies
+  print: { Module: PrintMode, dependencies: ['theme'] }
+};
+
+/**
+ * Read the features a page declares on <body data-features="theme animation">.
+ * Pages without the attribute get every feature.
+ */
+function getPageFeatures() {
+  const declared = document.body.dataset.features;
+  if (declared === undefined) return Object.keys(FEATURES);
+
+  return declared.split(/[\s,]+/).filter(Boolean);
+}
 
 /**
  * Application class to manage the entire website functionality
+ *
+ * Module contract:
+ *   constructor({ app, signal, events })
+ *                                 Gather elements; no listeners or DOM changes yet.
+ *                                 events is the app's EventBus; subscribe with
+ *                                 { signal } so handlers go when the module does.
+ *   init()                        Start up. May be async; dependents wait for it.
+ *   destroy()                     Optional. Release what the signal doesn't cover
+ *                                 (observers, timers). Listeners added with
+ *                                 { signal } are removed when the app tears down.
+ * A module that throws is shut down on its own and its dependents are skipped;
+ * the rest of the page keeps working.
  */
 class PortfolioApp {
-  constructor() {
+  constructor(options = {}) {
+    this.features = options.features || null;
+    this.events = new EventBus();
+    this.logs = options.logs || null;
+    this.registry = new Map();
     this.modules = new Map();
+    this.controllers = new Map();
+    this.failed = new Set();
+    this.controller = new AbortController();
     this.isInitialized = false;
   }
 
+  /**
+   * Make a module available under a feature name
+   */
+  register(name, Module, dependencies = []) {
+    if (this.isInitialized) {
+      throw new Error(`Can't register "${name}" after the app has started`);
+    }
+
+    this.registry.set(name, { Module, dependencies });
+    return this;
+  }
+
   /**
    * Initialize the application
    */
   async init() {
     if (this.isInitialized) {
-      console.warn('Application already initialized');
+      log.warn('Application already initialized');
       return;
     }
+    this.isInitialized = true;
+
+    // Neither depends on a module, so they don't wait for async module setup
+    this.setupGlobalHandlers();
+    this.initUtilities();
+
+    // Start the modules this page asked for
+    await this.initModules();
+
+    if (this.failed.size > 0) {
+      log.warn(`⚠️ Portfolio app initialized; failed to start: ${Array.from(this.failed).join(', ')}`);
+    } else {
+      log.info('🚀 Portfolio app initialized successfully');
+    }
+
+    this.events.emit('app:ready', { app: this, failed: Array.from(this.failed) });
+  }
+
+  /**
+   * Order the requested features so dependencies come first, pulling in any
+   * dependency the page didn't list. Otherwise the page's order is kept.
+   */
+  resolveOrder(requested) {
+    const order = [];
+    const visiting = new Set();
+
+    const visit = (name, requiredBy) => {
+      if (order.includes(name)) return;
+      if (visiting.has(name)) {
+        throw new Error(`Circular feature dependency: ${[...visiting, name].join(' → ')}`);
+      }
+
+      const entry = this.registry.get(name);
+      if (!entry) {
+        log.warn(requiredBy
+          ? `Feature "${requiredBy}" depends on unknown feature "${name}"`
+          : `Unknown feature "${name}" requested`);
+        return;
+      }
+
+      visiting.add(name);
+      entry.dependencies.forEach(dependency => visit(dependency, name));
+      visiting.delete(name);
+      order.push(name);
+    };
+
+    requested.forEach(name => visit(name, null));
+    return order;
+  }
 
+  /**
+   * Start each feature once its dependencies are up. Features that don't
+   * depend on each other don't wait for each other's async init().
+   */
+  async initModules() {
+    let order;
     try {
-      // Initialize core modules
-      this.modules.set('loading', new LoadingManager());
-      this.modules.set('navigation', new NavigationManager());
-      this.modules.set('theme', new ThemeManager());
-      this.modules.set('animation', new AnimationManager());
+      order = this.resolveOrder(this.features || Array.from(this.registry.keys()));
+    } catch (error) {
+      log.error('❌ Failed to resolve features:', error);
+      order = [];
+    }
 
-      // Initialize utilities
-      this.initUtilities();
+    const started = new Map();
+    order.forEach(name => {
+      const { dependencies } = this.registry.get(name);
+      const ready = Promise.all(dependencies.map(dependency => started.get(dependency) || false));
+      started.set(name, ready.then(results => results.every(Boolean) ? this.startModule(name) : this.skipModule(name)));
+    });
+
+    await Promise.all(started.values());
 
-      // Set up global event handlers
-      this.setupGlobalHandlers();
+    // LoadingManager marks the body as loaded once its loader hides;
+    // pages without a loader are ready as soon as the modules are.
+    if (!this.modules.has('loading')) {
+      document.body.classList.add('loaded');
+    }
+  }
 
-      this.isInitialized = true;
-      console.log('🚀 Portfolio app initialized successfully');
+  /**
+   * Resolves true once the module's init() has finished, false if it failed
+   */
+  async startModule(name) {
+    const { Module } = this.registry.get(name);
+    const controller = new AbortController();
+    let module = null;
 
-      // Dispatch ready event
-      window.dispatchEvent(new CustomEvent('app:ready', {
-        detail: { app: this }
-      }));
+    try {
+      module = new Module({ app: this, signal: controller.signal, events: this.events });
+      this.modules.set(name, module);
+      this.controllers.set(name, controller);
 
+      if (typeof module.init === 'function') {
+        await module.init();
+      }
+      return !controller.signal.aborted;
     } catch (error) {
-      console.error('❌ Failed to initialize portfolio app:', error);
+      log.error(`❌ Feature "${name}" failed to start:`, error);
+      this.failed.add(name);
+      this.events.emit('module:error', { name, phase: 'init', error });
+      this.stopModule(name, module, controller);
+      return false;
+    }
+  }
+
+  skipModule(name) {
+    log.warn(`Feature "${name}" skipped: a feature it depends on failed to start`);
+    this.failed.add(name);
+    return false;
+  }
+
+  stopModule(name, module, controller) {
+    controller.abort();
+    this.modules.delete(name);
+    this.controllers.delete(name);
+
+    if (module && typeof module.destroy === 'function') {
+      try {
+        module.destroy();
+      } catch (error) {
+        log.error(`❌ Feature "${name}" failed to shut down:`, error);
+        this.events.emit('module:error', { name, phase: 'destroy', error });
+      }
     }
   }
 
@@ -62,19 +236,24 @@ class PortfolioApp {
    * Initialize utility functions
    */
   initUtilities() {
-    createSkipLink();
-    initPerformanceMonitoring();
-    handleExternalLinks();
+    const { signal } = this.controller;
+
+    initAnalytics({ signal });
+    createSkipLink({ signal });
+    initPerformanceMonitoring({ signal });
+    handleExternalLinks({ signal });
   }
 
   /**
    * Set up global event handlers
    */
   setupGlobalHandlers() {
+    const { signal } = this.controller;
+
     // Handle theme changes
-    window.addEventListener('themechange', (e) => {
-      console.log(`🎨 Theme changed to: ${e.detail.theme}`);
-    });
+    this.events.on('theme:change', ({ theme, preference }) => {
+      log.info(`🎨 Theme changed to: ${theme} (${preference})`);
+    }, { signal });
 
     // Handle window resize
     let resizeTimeout;
@@ -83,23 +262,24 @@ class PortfolioApp {
       resizeTimeout = setTimeout(() => {
         this.handleResize();
       }, 250);
-    });
+    }, { signal });
+    signal.addEventListener('abort', () => clearTimeout(resizeTimeout));
 
     // Handle orientation change on mobile
     window.addEventListener('orientationchange', () => {
       setTimeout(() => {
         this.handleResize();
       }, 100);
-    });
+    }, { signal });
 
     // Handle visibility change
     document.addEventListener('visibilitychange', () => {
       if (document.hidden) {
-        console.log('📱 Page hidden - pausing non-essential operations');
+        log.debug('📱 Page hidden - pausing non-essential operations');
       } else {
-        console.log('👁️ Page visible - resuming operations');
+        log.debug('👁️ Page visible - resuming operations');
       }
-    });
+    }, { signal });
   }
 
   /**
@@ -114,13 +294,11 @@ class PortfolioApp {
       }
     }
 
-    // Dispatch resize event for modules that need it
-    window.dispatchEvent(new CustomEvent('app:resize', {
-      detail: {
-        width: window.innerWidth,
-        height: window.innerHeight
-      }
-    }));
+    // Let modules that need it know
+    this.events.emit('app:resize', {
+      width: window.innerWidth,
+      height: window.innerHeight
+    });
   }
 
   /**
@@ -141,21 +319,30 @@ class PortfolioApp {
    * Destroy the application and clean up
    */
   destroy() {
-    this.modules.forEach((module, name) => {
-      if (typeof module.destroy === 'function') {
-        module.destroy();
-      }
+    // Reverse start order, so nothing outlives a module it depends on
+    Array.from(this.modules.entries()).reverse().forEach(([name, module]) => {
+      this.stopModule(name, module, this.controllers.get(name));
     });
 
-    this.modules.clear();
+    this.controller.abort();
+    this.controller = new AbortController();
+    this.events.clear();
+    this.failed.clear();
     this.isInitialized = false;
-    console.log('🗑️ Portfolio app destroyed');
+    log.info('🗑️ Portfolio app destroyed');
   }
 }
 
 // Initialize the application when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
-  const app = new PortfolioApp();
+  // Recent log records, whatever the console shows, for bug reports
+  const logs = createMemorySink({ size: 100, level: 'info' });
+  addSink(logs);
+
+  const app = new PortfolioApp({ features: getPageFeatures(), logs });
+  Object.entries(FEATURES).forEach(([name, { Module, dependencies }]) => {
+    app.register(name, Module, dependencies);
+  });
   app.init();
 
   // Make app globally accessible for debugging
@@ -164,9 +351,10 @@ document.addEventListener('DOMContentLoaded', () => {
   }
 });
 
-// Handle page unload
-window.addEventListener('beforeunload', () => {
-  if (window.portfolioApp) {
+// Handle page unload. A beforeunload listener would keep the page out of the
+// back/forward cache, and a page that's only being cached must stay intact.
+window.addEventListener('pagehide', (e) => {
+  if (window.portfolioApp && !e.persisted) {
     window.portfolioApp.destroy();
   }
 });
@@ -0,0 +1,212 @@
+/**
+ * Accordion - Upgrades <details> groups into ARIA accordions with keyboard
+ * navigation and deep links
+ *
+ * Markup works without JavaScript:
+ *
+ *   <section data-accordion="single">
+ *     <details class="faq-item" id="faq-example">
+ *       <summary class="faq-question"><h3>Question</h3></summary>
+ *       <div class="faq-answer">Answer</div>
+ *     </details>
+ *   </section>
+ *
+ * data-accordion="single" keeps one item open per group; "multiple" lets
+ * any number stay open. Linking to an item's id (support.html#faq-example)
+ * expands it and scrolls it into view.
+ *
+ * Other modules can expand or collapse an item without going through the
+ * single-open rule by dispatching a bubbling `accordion:set` event with
+ * `detail: { expanded }` on the item element.
+ */
+import { prefersReducedMotion } from '../utils/accessibility.js';
+
+let accordionCount = 0;
+
+export class Accordion {
+  constructor({ root = document, signal } = {}) {
+    this.root = root;
+    this.signal = signal;
+    this.groups = [];
+    this.handleHashChange = () => this.openFromHash();
+    this.handleLinkClick = (e) => this.onLinkClick(e);
+  }
+
+  init() {
+    this.root.querySelectorAll('[data-accordion]').forEach(container => {
+      this.groups.push(this.upgradeGroup(container));
+    });
+
+    if (this.groups.length === 0) return;
+
+    window.addEventListener('hashchange', this.handleHashChange, { signal: this.signal });
+    document.addEventListener('click', this.handleLinkClick, { signal: this.signal });
+
+    this.openFromHash();
+  }
+
+  upgradeGroup(container) {
+    const group = {
+      container,
+      multiple: container.dataset.accordion === 'multiple',
+      items: []
+    };
+
+    container.querySelectorAll('details.faq-item').forEach(details => {
+      group.items.push(this.upgradeItem(details));
+    });
+
+    group.handleKeyDown = (e) => this.onKeyDown(e, group);
+    group.handleClick = (e) => {
+      const item = group.items.find(candidate => candidate.button === e.target.closest('.faq-question'));
+      if (item) this.toggle(item, group);
+    };
+    group.handleSet = (e) => {
+      const item = group.items.find(candidate => candidate.element === e.target);
+      if (item) this.setExpanded(item, !!e.detail.expanded);
+    };
+
+    container.addEventListener('keydown', group.handleKeyDown, { signal: this.signal });
+    container.addEventListener('click', group.handleClick, { signal: this.signal });
+    container.addEventListener('accordion:set', group.handleSet, { signal: this.signal });
+
+    return group;
+  }
+
+  /**
+   * Replace a <details> element with a heading button and a labelled region
+   */
+  upgradeItem(details) {
+    const uid = details.id || `accordion-${++accordionCount}`;
+    const summary = details.querySelector('summary');
+    const heading = summary.querySelector('h1, h2, h3, h4, h5, h6');
+    const panel = details.querySelector('.faq-answer');
+    const startOpen = details.open;
+
+    const element = document.createElement('div');
+    element.className = details.className;
+    if (details.id) element.id = details.id;
+
+    const headingElement = document.createElement(heading ? heading.tagName.toLowerCase() : 'h3');
+    headingElement.className = 'faq-heading';
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = summary.className;
+    button.id = `${uid}-button`;
+    button.setAttribute('aria-controls', `${uid}-panel`);
+
+    const label = document.createElement('span');
+    label.className = 'faq-question-text';
+    label.textContent = (heading || summary).textContent.trim();
+    button.appendChild(label);
+
+    const toggle = summary.querySelector('.faq-toggle');
+    if (toggle) {
+      toggle.setAttribute('aria-hidden', 'true');
+      button.appendChild(toggle);
+    }
+
+    headingElement.appendChild(button);
+
+    panel.id = `${uid}-panel`;
+    panel.setAttribute('role', 'region');
+    panel.setAttribute('aria-labelledby', button.id);
+
+    element.append(headingElement, panel);
+    details.replaceWith(element);
+
+    const item = { element, button, panel };
+    this.setExpanded(item, startOpen);
+    return item;
+  }
+
+  setExpanded(item, expanded) {
+    item.element.classList.toggle('active', expanded);
+    item.panel.classList.toggle('active', expanded);
+    item.button.setAttribute('aria-expanded', String(expanded));
+    // Keep links inside collapsed answers out of the tab order
+    item.panel.toggleAttribute('inert', !expanded);
+  }
+
+  isExpanded(item) {
+    return item.button.getAttribute('aria-expanded') === 'true';
+  }
+
+  open(item, group) {
+    if (!group.multiple) {
+      group.items.forEach(other => {
+        if (other !== item) this.setExpanded(other, false);
+      });
+    }
+    this.setExpanded(item, true);
+  }
+
+  toggle(item, group) {
+    if (this.isExpanded(item)) {
+      this.setExpanded(item, false);
+    } else {
+      this.open(item, group);
+    }
+  }
+
+  onKeyDown(e, group) {
+    const index = group.items.findIndex(item => item.button === document.activeElement);
+    if (index === -1) return;
+
+    const last = group.items.length - 1;
+    const targets = {
+      ArrowDown: index === last ? 0 : index + 1,
+      ArrowUp: index === 0 ? last : index - 1,
+      Home: 0,
+      End: last
+    };
+
+    if (!(e.key in targets)) return;
+
+    e.preventDefault();
+    group.items[targets[e.key]].button.focus();
+  }
+
+  findItem(target) {
+    for (const group of this.groups) {
+      const item = group.items.find(candidate => candidate.element.contains(target));
+      if (item) return { item, group };
+    }
+    return null;
+  }
+
+  /**
+   * Expand the item the URL fragment points at (or contains) and scroll to it
+   */
+  openFromHash(hash = window.location.hash) {
+    if (!hash || hash.length < 2) return false;
+
+    const target = document.getElementById(decodeURIComponent(hash.substring(1)));
+    const match = target && this.findItem(target);
+    if (!match) return false;
+
+    this.open(match.item, match.group);
+    match.item.element.scrollIntoView({
+      behavior: prefersReducedMotion() ? 'auto' : 'smooth',
+      block: 'start'
+    });
+    return true;
+  }
+
+  // In-page links to an item expand it; NavigationManager handles the scroll
+  onLinkClick(e) {
+    const link = e.target.closest && e.target.closest('a[href^="#"]');
+    if (!link || link.getAttribute('href').length < 2) return;
+
+    const target = document.getElementById(link.getAttribute('href').substring(1));
+    const match = target && this.findItem(target);
+    if (match) {
+      this.open(match.item, match.group);
+    }
+  }
+
+  destroy() {
+    this.groups = [];
+  }
+}
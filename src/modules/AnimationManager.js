@@ -1,27 +1,48 @@
 /**
  * AnimationManager - Handles scroll-triggered animations and intersection observers
  */
+
+// Delay between elements revealed in the same batch, in ms
+const STAGGER_DELAY = 100;
+
 export class AnimationManager {
-  constructor() {
+  constructor({ signal } = {}) {
+    this.signal = signal;
     this.observers = new Map();
     this.animatedElements = new Set();
+  }
 
+  init() {
     this.initFadeInAnimations();
     this.initParallaxEffects();
     this.setupPerformanceOptimizations();
   }
 
   initFadeInAnimations() {
+    const fadeInElements = document.querySelectorAll('.fade-in');
+
+    // Without motion there is nothing to reveal - show everything up front
+    // rather than leaving content at opacity 0.
+    if (this.prefersReducedMotion()) {
+      fadeInElements.forEach(el => el.classList.add('visible'));
+      return;
+    }
+
     const observerOptions = {
       threshold: 0.1,
       rootMargin: '0px 0px -50px 0px'
     };
 
     const observer = new IntersectionObserver((entries) => {
+      let revealed = 0;
+
       entries.forEach(entry => {
         if (entry.isIntersecting && !this.animatedElements.has(entry.target)) {
-          entry.target.classList.add('visible');
-          this.animatedElements.add(entry.target);
+          // Stagger elements that scroll into view together
+          const target = entry.target;
+          setTimeout(() => target.classList.add('visible'), revealed * STAGGER_DELAY);
+          revealed++;
+          this.animatedElements.add(target);
 
           // Optionally unobserve after animation to improve performance
           if (entry.target.dataset.animateOnce !== 'false') {
@@ -35,7 +56,7 @@ export class AnimationManager {
     this.observers.set('fadeIn', observer);
 
     // Observe all fade-in elements
-    document.querySelectorAll('.fade-in').forEach(el => {
+    fadeInElements.forEach(el => {
       observer.observe(el);
     });
   }
@@ -70,7 +91,7 @@ export class AnimationManager {
       }
     };
 
-    window.addEventListener('scroll', requestParallaxUpdate, { passive: true });
+    window.addEventListener('scroll', requestParallaxUpdate, { passive: true, signal: this.signal });
   }
 
   setupPerformanceOptimizations() {
@@ -87,7 +108,7 @@ export class AnimationManager {
           el.style.animationPlayState = 'running';
         });
       }
-    });
+    }, { signal: this.signal });
   }
 
   // Utility method to check for reduced motion preference
@@ -112,9 +133,13 @@ export class AnimationManager {
 
   // Method to add new elements to be observed
   observeElement(element, options = {}) {
+    if (!element) return;
+
     const observer = this.observers.get('fadeIn');
-    if (observer && element) {
+    if (observer) {
       observer.observe(element);
+    } else {
+      element.classList.add('visible');
     }
   }
 
@@ -0,0 +1,197 @@
+/**
+ * FaqSearch - Filters the support FAQ as the visitor types
+ *
+ * Indexes every .faq-item's question and answer once at load, then hides
+ * sections without a match, expands matching answers and highlights the
+ * matched words. The query is kept in ?q= so a search can be shared.
+ *
+ * Expects this markup (hidden until the module shows it):
+ *
+ *   <div class="faq-search" data-faq-search hidden>
+ *     <form role="search"><input type="search" name="q"></form>
+ *     <p class="faq-search-status" aria-live="polite"></p>
+ *     <p class="faq-search-empty" hidden>... <a class="faq-search-email"></a></p>
+ *   </div>
+ *
+ * Runs after the accordion feature so it indexes the upgraded items.
+ */
+import {
+  clearHighlights,
+  getQueryTerms,
+  highlightTerms,
+  matchesTerm,
+  stem,
+  tokenize
+} from '../utils/textSearch.js';
+import { debounce } from '../utils/performance.js';
+
+const QUERY_PARAM = 'q';
+const HIGHLIGHT_CLASS = 'faq-highlight';
+const URL_UPDATE_DELAY = 300;
+
+export class FaqSearch {
+  constructor({ signal } = {}) {
+    this.signal = signal;
+    this.container = document.querySelector('[data-faq-search]');
+    this.entries = [];
+    this.expandedBySearch = new Set();
+    this.query = '';
+  }
+
+  init() {
+    if (!this.container) return;
+
+    this.form = this.container.querySelector('form');
+    this.input = this.container.querySelector('input[type="search"]');
+    this.status = this.container.querySelector('.faq-search-status');
+    this.empty = this.container.querySelector('.faq-search-empty');
+    this.emailLink = this.container.querySelector('.faq-search-email');
+
+    this.buildIndex();
+    this.sections = Array.from(document.querySelectorAll('main .section'));
+
+    this.handleInput = () => this.search(this.input.value);
+    this.handleSubmit = (e) => e.preventDefault();
+    this.handleKeyDown = (e) => {
+      if (e.key === 'Escape' && this.input.value) {
+        this.input.value = '';
+        this.search('');
+      }
+    };
+    this.updateUrl = debounce(() => this.writeQueryToUrl(), URL_UPDATE_DELAY);
+
+    this.input.addEventListener('input', this.handleInput, { signal: this.signal });
+    this.input.addEventListener('keydown', this.handleKeyDown, { signal: this.signal });
+    this.form.addEventListener('submit', this.handleSubmit, { signal: this.signal });
+
+    this.container.hidden = false;
+
+    const query = new URLSearchParams(window.location.search).get(QUERY_PARAM);
+    if (query) {
+      this.input.value = query;
+      this.search(query);
+    }
+  }
+
+  /**
+   * Stem every word of each question and answer once
+   */
+  buildIndex() {
+    this.entries = Array.from(document.querySelectorAll('.faq-item')).map(element => {
+      const question = element.querySelector('.faq-question-text, .faq-question');
+      const answer = element.querySelector('.faq-answer');
+
+      return {
+        element,
+        question,
+        answer,
+        section: element.closest('.section'),
+        words: new Set(tokenize(`${question.textContent} ${answer.textContent}`).map(stem))
+      };
+    });
+  }
+
+  /**
+   * Every term has to match some word in the entry
+   */
+  matches(entry, terms) {
+    return terms.every(term => {
+      for (const word of entry.words) {
+        if (matchesTerm(term, word)) return true;
+      }
+      return false;
+    });
+  }
+
+  search(query) {
+    this.query = query.trim();
+    const terms = getQueryTerms(this.query);
+    const searching = terms.length > 0;
+
+    const matched = this.entries.filter(entry => {
+      clearHighlights(entry.question, HIGHLIGHT_CLASS);
+      clearHighlights(entry.answer, HIGHLIGHT_CLASS);
+
+      const isMatch = !searching || this.matches(entry, terms);
+      entry.element.hidden = !isMatch;
+
+      if (searching && isMatch) {
+        highlightTerms(entry.question, terms, HIGHLIGHT_CLASS);
+        highlightTerms(entry.answer, terms, HIGHLIGHT_CLASS);
+      }
+
+      this.setSearchExpanded(entry, searching && isMatch);
+      return searching && isMatch;
+    });
+
+    // Sections with no matching answer step aside while a search is active
+    this.sections.forEach(section => {
+      section.hidden = searching && !matched.some(entry => entry.section === section);
+    });
+
+    this.renderStatus(searching, matched.length);
+    this.updateUrl();
+  }
+
+  /**
+   * Expand matches, and collapse only the answers the search itself opened
+   */
+  setSearchExpanded(entry, expanded) {
+    if (expanded === this.expandedBySearch.has(entry)) return;
+    if (expanded && this.isExpanded(entry)) return;
+
+    if (expanded) {
+      this.expandedBySearch.add(entry);
+    } else {
+      this.expandedBySearch.delete(entry);
+    }
+
+    if (entry.element.tagName === 'DETAILS') {
+      entry.element.open = expanded;
+    } else {
+      entry.element.dispatchEvent(new CustomEvent('accordion:set', {
+        bubbles: true,
+        detail: { expanded }
+      }));
+    }
+  }
+
+  isExpanded(entry) {
+    if (entry.element.tagName === 'DETAILS') return entry.element.open;
+
+    const button = entry.element.querySelector('.faq-question');
+    return !!button && button.getAttribute('aria-expanded') === 'true';
+  }
+
+  renderStatus(searching, count) {
+    if (this.status) {
+      this.status.textContent = searching
+        ? `${count} ${count === 1 ? 'answer matches' : 'answers match'} “${this.query}”`
+        : '';
+    }
+
+    if (this.empty) {
+      this.empty.hidden = !searching || count > 0;
+    }
+
+    if (this.emailLink && searching && count === 0) {
+      const url = new URL(this.emailLink.href);
+      url.search = `?subject=${encodeURIComponent(`Sonora Support: ${this.query}`)}`;
+      this.emailLink.href = url.toString();
+    }
+  }
+
+  writeQueryToUrl() {
+    const url = new URL(window.location.href);
+
+    if (this.query) {
+      url.searchParams.set(QUERY_PARAM, this.query);
+    } else {
+      url.searchParams.delete(QUERY_PARAM);
+    }
+
+    if (url.href !== window.location.href) {
+      history.replaceState(history.state, '', url);
+    }
+  }
+}
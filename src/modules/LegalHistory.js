@@ -0,0 +1,234 @@
+/**
+ * LegalHistory - "What changed since version X" view for the legal pages
+ *
+ * Reads the version history that scripts/build-legal.js writes next to the
+ * archived copies, and diffs the page's version against an earlier one
+ * section by section. ?since=<version> opens the comparison directly, so a
+ * changelog email can link straight to it. Pages with a single published
+ * version show nothing.
+ */
+import { diffSections, diffWords } from '../utils/diff.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('history');
+
+const SINCE_PARAM = 'since';
+
+const STATUS_LABELS = {
+  added: 'New section',
+  removed: 'Removed section',
+  changed: 'Updated'
+};
+
+function formatDate(iso) {
+  return new Intl.DateTimeFormat('en-US', { dateStyle: 'long', timeZone: 'UTC' }).format(new Date(iso));
+}
+
+function createElement(tag, className, text) {
+  const element = document.createElement(tag);
+  if (className) element.className = className;
+  if (text !== undefined) element.textContent = text;
+  return element;
+}
+
+export class LegalHistory {
+  constructor({ signal } = {}) {
+    this.signal = signal;
+    this.container = document.querySelector('[data-legal-history]');
+    this.history = null;
+  }
+
+  async init() {
+    if (!this.container || !this.container.dataset.legalHistory) return;
+
+    try {
+      const url = new URL(this.container.dataset.legalHistory, window.location.href);
+      const response = await fetch(url, { signal: this.signal });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+      this.history = await response.json();
+      this.historyUrl = url;
+    } catch (error) {
+      // Torn down mid-request: nothing to report
+      if (error.name !== 'AbortError') {
+        log.warn('⚠️ Legal version history unavailable:', error);
+      }
+      return;
+    }
+
+    const version = this.container.dataset.legalVersion;
+    const index = this.history.versions.findIndex(entry => entry.version === version);
+    this.version = this.history.versions[index];
+
+    // Versions are listed newest first
+    this.earlier = index === -1 ? [] : this.history.versions.slice(index + 1);
+    if (this.earlier.length === 0) return;
+
+    this.render();
+
+    const since = new URLSearchParams(window.location.search).get(SINCE_PARAM);
+    if (since && this.earlier.some(entry => entry.version === since)) {
+      this.select.value = since;
+      this.element.open = true;
+      this.showChanges(since);
+      this.element.scrollIntoView({ block: 'start' });
+    }
+  }
+
+  render() {
+    const details = createElement('details', 'legal-changes');
+    const summary = createElement('summary', 'legal-changes-title', 'What changed since an earlier version?');
+
+    const label = createElement('label', null, `Compare version ${this.version.version} with `);
+    label.htmlFor = 'legalChangesSince';
+
+    const select = createElement('select');
+    select.id = 'legalChangesSince';
+    select.appendChild(createElement('option', null, 'Choose a version…')).value = '';
+    this.earlier.forEach(entry => {
+      const option = createElement('option', null, `Version ${entry.version} (effective ${formatDate(entry.effective)})`);
+      option.value = entry.version;
+      select.appendChild(option);
+    });
+
+    const result = createElement('div', 'legal-changes-result');
+    result.setAttribute('aria-live', 'polite');
+
+    select.addEventListener('change', () => {
+      this.showChanges(select.value);
+      this.writeSinceToUrl(select.value);
+    }, { signal: this.signal });
+
+    details.append(summary, label, select, result);
+    this.container.appendChild(details);
+
+    this.element = details;
+    this.select = select;
+    this.result = result;
+  }
+
+  showChanges(since) {
+    this.result.replaceChildren();
+
+    const earlier = this.earlier.find(entry => entry.version === since);
+    if (!earlier) return;
+
+    const sections = diffSections(earlier.sections, this.version.sections)
+      .filter(section => section.status !== 'unchanged');
+
+    this.result.appendChild(createElement('p', 'legal-changes-summary', this.describe(sections, earlier)));
+
+    const archiveLink = createElement('a', null, `Read version ${earlier.version} in full`);
+    archiveLink.href = new URL(earlier.url, this.historyUrl).href;
+    this.result.appendChild(createElement('p')).appendChild(archiveLink);
+
+    sections.forEach(section => this.result.appendChild(this.renderSection(section)));
+  }
+
+  describe(sections, earlier) {
+    if (sections.length === 0) {
+      return `The text hasn't changed since version ${earlier.version}.`;
+    }
+
+    const counts = ['changed', 'added', 'removed']
+      .map(status => [status, sections.filter(section => section.status === status).length])
+      .filter(([, count]) => count > 0)
+      .map(([status, count]) => `${count} ${count === 1 ? 'section' : 'sections'} ${status}`);
+
+    return `Since version ${earlier.version} (${formatDate(earlier.effective)}): ${counts.join(', ')}.`;
+  }
+
+  renderSection(section) {
+    const element = createElement('section', `legal-change legal-change-${section.status}`);
+    const heading = createElement('h4');
+
+    // Removed sections have nothing on this page to link to
+    if (section.id && section.status !== 'removed') {
+      const link = createElement('a', null, section.title);
+      link.href = `#${section.id}`;
+      heading.appendChild(link);
+    } else {
+      heading.textContent = section.title;
+    }
+
+    heading.appendChild(createElement('span', 'legal-change-status', STATUS_LABELS[section.status]));
+    element.appendChild(heading);
+
+    if (section.previousTitle && section.previousTitle !== section.title) {
+      element.appendChild(createElement('p', 'legal-change-renamed', `Previously titled “${section.previousTitle}”`));
+    }
+
+    this.groupChanges(section.changes).forEach(group => {
+      element.appendChild(this.renderGroup(group));
+    });
+
+    return element;
+  }
+
+  /**
+   * Pair each run of deleted blocks with the inserted run that follows it,
+   * so reworded paragraphs show a word-level diff instead of two blocks
+   */
+  groupChanges(changes) {
+    const groups = [];
+    let deleted = [];
+    let inserted = [];
+
+    const flush = () => {
+      const paired = Math.min(deleted.length, inserted.length);
+      for (let i = 0; i < paired; i++) {
+        groups.push({ type: 'modified', before: deleted[i], after: inserted[i] });
+      }
+      deleted.slice(paired).forEach(value => groups.push({ type: 'delete', value }));
+      inserted.slice(paired).forEach(value => groups.push({ type: 'insert', value }));
+      deleted = [];
+      inserted = [];
+    };
+
+    changes.forEach(change => {
+      if (change.type === 'delete') {
+        if (inserted.length > 0) flush();
+        deleted.push(change.value);
+      } else if (change.type === 'insert') {
+        inserted.push(change.value);
+      } else {
+        flush();
+      }
+    });
+    flush();
+
+    return groups;
+  }
+
+  renderGroup(group) {
+    const block = createElement('p', `legal-change-block legal-change-block-${group.type}`);
+
+    if (group.type === 'insert') {
+      block.appendChild(createElement('ins', null, group.value));
+    } else if (group.type === 'delete') {
+      block.appendChild(createElement('del', null, group.value));
+    } else {
+      diffWords(group.before, group.after).forEach(token => {
+        if (token.type === 'equal') {
+          block.append(token.value);
+        } else {
+          block.appendChild(createElement(token.type === 'insert' ? 'ins' : 'del', null, token.value));
+        }
+      });
+    }
+
+    return block;
+  }
+
+  writeSinceToUrl(since) {
+    const url = new URL(window.location.href);
+
+    if (since) {
+      url.searchParams.set(SINCE_PARAM, since);
+    } else {
+      url.searchParams.delete(SINCE_PARAM);
+    }
+
+    history.replaceState(history.state, '', url);
+  }
+}
@@ -1,31 +1,205 @@
 /**
  * LoadingManager - Handles page loading states and transitions
+ *
+ * Same-origin navigations use cross-document view transitions where the
+ * browser supports them (pages opt in with `@view-transition` in their CSS).
+ * Elsewhere the #pageTransition overlay covers the navigation instead.
+ * Neither runs under prefers-reduced-motion.
+ *
+ * The #pageLoader reports real progress: it tracks fonts, images in the first
+ * viewport and module scripts, and hides as soon as they're in (or after
+ * MAX_LOADER_WAIT at the latest). Pages without a loader are marked loaded
+ * straight away.
  */
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+// Longest the loader stays up, however slow the critical resources are
+const MAX_LOADER_WAIT = 5000;
+
+// Matches the .page-loader fade-out transition in style.css
+const LOADER_FADE_DURATION = 600;
+
+function supportsViewTransitions() {
+  return typeof window.CSSViewTransitionRule !== 'undefined';
+}
+
 export class LoadingManager {
-  constructor() {
+  constructor({ signal } = {}) {
+    this.signal = signal;
     this.pageLoader = document.getElementById('pageLoader');
     this.pageTransition = document.getElementById('pageTransition');
+    this.reducedMotion = window.matchMedia ? window.matchMedia(REDUCED_MOTION_QUERY) : null;
     this.isLoading = false;
+    this.timers = new Set();
+    this.loaderHidden = false;
+  }
 
+  init() {
     this.initPageLoader();
     this.initTransitions();
   }
 
   initPageLoader() {
-    // Show loader until page is fully loaded
-    window.addEventListener('load', () => {
-      setTimeout(() => {
-        this.hideLoader();
-      }, 500);
-    });
+    if (!this.pageLoader) {
+      document.body.classList.add('loaded');
+      return;
+    }
+
+    if (document.readyState === 'complete') {
+      this.hideLoader();
+      return;
+    }
+
+    this.handleLoad = () => this.hideLoader();
+    window.addEventListener('load', this.handleLoad, { signal: this.signal, once: true });
 
-    // Add typing animation to loader text
+    this.createProgressBar();
     this.animateLoaderText();
+    this.trackCriticalResources();
+
+    // Never hold the page hostage to a slow font or image
+    this.schedule(() => this.hideLoader(), MAX_LOADER_WAIT);
+  }
+
+  schedule(callback, delay) {
+    const id = setTimeout(() => {
+      this.timers.delete(id);
+      callback();
+    }, delay);
+    this.timers.add(id);
+  }
+
+  stopTimers() {
+    this.timers.forEach(id => clearTimeout(id));
+    this.timers.clear();
+  }
+
+  createProgressBar() {
+    let progress = this.pageLoader.querySelector('.loader-progress');
+
+    if (!progress) {
+      progress = document.createElement('div');
+      progress.className = 'loader-progress';
+      progress.appendChild(document.createElement('div')).className = 'loader-progress-bar';
+      (this.pageLoader.querySelector('.loader-content') || this.pageLoader).appendChild(progress);
+    }
+
+    progress.setAttribute('role', 'progressbar');
+    progress.setAttribute('aria-label', 'Loading page');
+    progress.setAttribute('aria-valuemin', '0');
+    progress.setAttribute('aria-valuemax', '100');
+
+    this.progress = progress;
+    this.progressBar = progress.querySelector('.loader-progress-bar');
+  }
+
+  /**
+   * Fonts in use, images in the first viewport and module scripts. Each entry
+   * resolves once its resource has loaded or failed.
+   */
+  collectCriticalResources() {
+    const resources = [];
+
+    if (document.fonts) {
+      const faces = Array.from(document.fonts).filter(face => face.status === 'loading');
+      faces.forEach(face => resources.push(face.loaded.catch(() => {})));
+
+      if (faces.length === 0 && document.fonts.status === 'loading') {
+        resources.push(document.fonts.ready);
+      }
+    }
+
+    Array.from(document.images)
+      .filter(image => image.getBoundingClientRect().top < window.innerHeight)
+      .forEach(image => {
+        resources.push(image.complete ? Promise.resolve() : new Promise(resolve => {
+          image.addEventListener('load', resolve, { once: true });
+          image.addEventListener('error', resolve, { once: true });
+        }));
+      });
+
+    document.querySelectorAll('script[type="module"][src]').forEach(script => {
+      // Failed requests don't always get a timing entry, but do fire error
+      resources.push(Promise.race([
+        this.whenResourceLoaded(script.src),
+        new Promise(resolve => {
+          script.addEventListener('load', resolve, { once: true });
+          script.addEventListener('error', resolve, { once: true });
+        })
+      ]));
+    });
+
+    return resources;
+  }
+
+  /**
+   * Resolves when the Resource Timing entry for a URL is recorded
+   */
+  whenResourceLoaded(url) {
+    const { performance } = window;
+    if (typeof window.PerformanceObserver === 'undefined' || !performance || !performance.getEntriesByName) {
+      return Promise.resolve();
+    }
+    if (performance.getEntriesByName(url).length > 0) {
+      return Promise.resolve();
+    }
+
+    this.pendingResources = this.pendingResources || new Map();
+
+    if (!this.resourceObserver) {
+      this.resourceObserver = new window.PerformanceObserver(list => {
+        list.getEntries().forEach(entry => {
+          const resolve = this.pendingResources.get(entry.name);
+          if (resolve) {
+            this.pendingResources.delete(entry.name);
+            resolve();
+          }
+        });
+      });
+      this.resourceObserver.observe({ type: 'resource' });
+    }
+
+    return new Promise(resolve => this.pendingResources.set(url, resolve));
+  }
+
+  trackCriticalResources() {
+    const resources = this.collectCriticalResources();
+    let completed = 0;
+
+    this.updateProgress(0, resources.length);
+
+    if (resources.length === 0) {
+      this.hideLoader();
+      return;
+    }
+
+    resources.forEach(resource => {
+      resource.then(() => {
+        completed++;
+        this.updateProgress(completed, resources.length);
+
+        if (completed === resources.length) {
+          this.hideLoader();
+        }
+      });
+    });
+  }
+
+  updateProgress(completed, total) {
+    if (!this.progress || this.loaderHidden) return;
+
+    const fraction = total === 0 ? 1 : completed / total;
+    this.progress.setAttribute('aria-valuenow', String(Math.round(fraction * 100)));
+    this.progress.setAttribute('aria-valuetext', `${completed} of ${total} resources loaded`);
+
+    if (this.progressBar) {
+      this.progressBar.style.transform = `scaleX(${fraction})`;
+    }
   }
 
   animateLoaderText() {
     const text = 'Loading...';
-    const loaderText = document.querySelector('.loader-text');
+    const loaderText = this.pageLoader.querySelector('.loader-text');
     if (!loaderText) return;
 
     let index = 0;
@@ -34,9 +208,9 @@ export class LoadingManager {
       if (index < text.length) {
         loaderText.textContent = text.substring(0, index + 1);
         index++;
-        setTimeout(typeWriter, 100);
+        this.schedule(typeWriter, 100);
       } else {
-        setTimeout(() => {
+        this.schedule(() => {
           loaderText.textContent = '';
           index = 0;
           typeWriter();
@@ -48,43 +222,105 @@ export class LoadingManager {
   }
 
   hideLoader() {
-    if (!this.pageLoader) return;
+    if (this.loaderHidden || !this.pageLoader) return;
+    this.loaderHidden = true;
+
+    this.stopTracking();
 
     this.pageLoader.classList.add('fade-out');
-    setTimeout(() => {
-      this.pageLoader.style.display = 'none';
-      document.body.classList.add('loaded');
-    }, 600);
+    this.schedule(() => this.removeLoader(), LOADER_FADE_DURATION);
+  }
+
+  removeLoader() {
+    this.pageLoader.style.display = 'none';
+    document.body.classList.add('loaded');
+  }
+
+  /**
+   * Stop the text animation, the timeout and resource tracking
+   */
+  stopTracking() {
+    this.stopTimers();
+
+    if (this.handleLoad) {
+      window.removeEventListener('load', this.handleLoad);
+    }
+    if (this.resourceObserver) {
+      this.resourceObserver.disconnect();
+      this.resourceObserver = null;
+    }
   }
 
   initTransitions() {
-    // Only add transition for external links that navigate away from the page
-    document.querySelectorAll('a[href^="http"], a[href^="mailto:"]').forEach(link => {
-      link.addEventListener('click', (e) => {
-        // Only show transition for links that actually navigate away (not _blank)
-        if (link.target !== '_blank' && !link.href.startsWith('mailto:')) {
-          e.preventDefault();
-          this.showTransition();
-          setTimeout(() => {
-            window.location.href = link.href;
-          }, 600);
-        }
+    this.handleClick = this.handleClick.bind(this);
+    this.handlePageShow = this.handlePageShow.bind(this);
+    this.handleViewTransition = this.handleViewTransition.bind(this);
+
+    // Delegated, so links added after load are covered too
+    document.addEventListener('click', this.handleClick, { signal: this.signal });
+    window.addEventListener('pageshow', this.handlePageShow, { signal: this.signal });
+
+    // The pages opt into view transitions in CSS; these let reduced motion
+    // skip one that's already under way on either side of the navigation
+    window.addEventListener('pageswap', this.handleViewTransition, { signal: this.signal });
+    window.addEventListener('pagereveal', this.handleViewTransition, { signal: this.signal });
+  }
+
+  prefersReducedMotion() {
+    return Boolean(this.reducedMotion && this.reducedMotion.matches);
+  }
+
+  /**
+   * Only plain left-clicks that navigate this tab to another same-origin page
+   */
+  shouldTransition(event, link) {
+    if (event.defaultPrevented || event.button !== 0) return false;
+
+    // Cmd/Ctrl/Shift/Alt-clicks open a new tab or window, or download
+    if (event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return false;
+    if ((link.target && link.target !== '_self') || link.hasAttribute('download')) return false;
+
+    const url = new URL(link.href, window.location.href);
+    if (url.origin !== window.location.origin) return false;
+
+    // Fragment links on this page scroll rather than navigate
+    const samePage = url.pathname === window.location.pathname && url.search === window.location.search;
+    return !(samePage && url.hash);
+  }
+
+  handleClick(event) {
+    const link = event.target instanceof window.Element ? event.target.closest('a[href]') : null;
+    if (!link || !this.shouldTransition(event, link)) return;
+
+    // The browser animates the navigation itself, or motion is turned off
+    if (supportsViewTransitions() || this.prefersReducedMotion() || !this.pageTransition) return;
+
+    event.preventDefault();
+    this.showTransition();
+
+    // Navigate as soon as the overlay has painted
+    requestAnimationFrame(() => {
+      requestAnimationFrame(() => {
+        window.location.href = link.href;
       });
     });
+  }
 
-    // Add transition for same-origin page navigation (like sonora/index.html)
-    document.querySelectorAll('a[href$=".html"]').forEach(link => {
-      // Only if it's a relative link to another page
-      if (!link.href.startsWith('http') && !link.href.includes('#')) {
-        link.addEventListener('click', (e) => {
-          e.preventDefault();
-          this.showTransition();
-          setTimeout(() => {
-            window.location.href = link.href;
-          }, 600);
-        });
-      }
-    });
+  handleViewTransition(event) {
+    if (event.viewTransition && this.prefersReducedMotion()) {
+      event.viewTransition.skipTransition();
+    }
+  }
+
+  /**
+   * A page restored from the back/forward cache comes back exactly as it was
+   * left - overlay up, or loader still showing if it was left mid-load
+   */
+  handlePageShow(event) {
+    if (!event.persisted) return;
+
+    this.hideTransition();
+    this.hideLoader();
   }
 
   showTransition() {
@@ -96,9 +332,15 @@ export class LoadingManager {
   hideTransition() {
     if (!this.pageTransition) return;
 
-    setTimeout(() => {
-      this.pageTransition.classList.remove('active');
-      this.isLoading = false;
-    }, 300);
+    this.pageTransition.classList.remove('active');
+    this.isLoading = false;
+  }
+
+  destroy() {
+    this.stopTracking();
+    this.hideTransition();
+
+    // Torn down before the fade finished (or began): don't leave the page covered
+    if (this.pageLoader) this.removeLoader();
   }
-}
\ No newline at end of file
+}
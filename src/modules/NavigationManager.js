@@ -1,17 +1,61 @@
 /**
  * NavigationManager - Handles navigation functionality including mobile menu and scroll tracking
  */
+
+// Breathing room left between the fixed header and a scrolled-to target
+const SCROLL_OFFSET = 20;
+
+/**
+ * Report the section being read as the page scrolls. Calls onActive(id)
+ * whenever the first section inside the band below the header changes.
+ */
+export function observeActiveSection(sections, onActive, options = {}) {
+  const ordered = Array.from(sections);
+  if (ordered.length === 0 || !('IntersectionObserver' in window)) return null;
+
+  const visible = new Set();
+  let activeId = null;
+
+  const observer = new IntersectionObserver((entries) => {
+    entries.forEach(entry => {
+      if (entry.isIntersecting) {
+        visible.add(entry.target);
+      } else {
+        visible.delete(entry.target);
+      }
+    });
+
+    // Sections taller than the band never reach a high intersection
+    // ratio, so the earliest one in the band wins instead
+    const current = ordered.find(section => visible.has(section));
+    if (current && current.id !== activeId) {
+      activeId = current.id;
+      onActive(activeId);
+    }
+  }, {
+    threshold: 0,
+    rootMargin: options.rootMargin || '-80px 0px -50% 0px'
+  });
+
+  ordered.forEach(section => observer.observe(section));
+  return observer;
+}
+
 export class NavigationManager {
-  constructor() {
+  constructor({ signal } = {}) {
+    this.signal = signal;
     this.mobileMenuToggle = document.getElementById('mobileMenuToggle');
     this.mobileNav = document.getElementById('mobileNav');
     this.navLinks = document.querySelectorAll('.nav-link, .mobile-nav-link');
     this.scrollProgress = document.getElementById('scrollProgress');
     this.sections = document.querySelectorAll('section[id]');
-    this.header = document.querySelector('.header');
+    this.header = document.querySelector('.header, .navbar');
+  }
 
+  init() {
     this.initMobileMenu();
     this.initScrollProgress();
+    this.initHeaderScroll();
     this.initActiveNavigation();
     this.initSmoothScrolling();
   }
@@ -21,13 +65,13 @@ export class NavigationManager {
 
     this.mobileMenuToggle.addEventListener('click', () => {
       this.toggleMobileMenu();
-    });
+    }, { signal: this.signal });
 
     // Close mobile menu when clicking on a link
     document.querySelectorAll('.mobile-nav-link').forEach(link => {
       link.addEventListener('click', () => {
         this.closeMobileMenu();
-      });
+      }, { signal: this.signal });
     });
 
     // Close mobile menu when clicking outside
@@ -35,14 +79,14 @@ export class NavigationManager {
       if (!this.header.contains(e.target)) {
         this.closeMobileMenu();
       }
-    });
+    }, { signal: this.signal });
 
     // Handle escape key
     document.addEventListener('keydown', (e) => {
       if (e.key === 'Escape') {
         this.closeMobileMenu();
       }
-    });
+    }, { signal: this.signal });
   }
 
   toggleMobileMenu() {
@@ -82,35 +126,32 @@ export class NavigationManager {
       const scrollPercentage = (scrollTop / scrollHeight) * 100;
 
       this.scrollProgress.style.width = `${Math.min(scrollPercentage, 100)}%`;
-
-      // Header background on scroll
-      if (this.header) {
-        if (scrollTop > 50) {
-          this.header.classList.add('scrolled');
-        } else {
-          this.header.classList.remove('scrolled');
-        }
-      }
-    });
+    }, { passive: true, signal: this.signal });
   }
 
-  initActiveNavigation() {
-    const observerOptions = {
-      threshold: 0.5,
-      rootMargin: '-80px 0px -50% 0px'
+  initHeaderScroll() {
+    if (!this.header) return;
+
+    let ticking = false;
+
+    const updateHeader = () => {
+      const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
+      this.header.classList.toggle('scrolled', scrollTop > 50);
+      ticking = false;
     };
 
-    const observer = new IntersectionObserver((entries) => {
-      entries.forEach(entry => {
-        if (entry.isIntersecting) {
-          this.updateActiveNavLink(entry.target.id);
-        }
-      });
-    }, observerOptions);
+    window.addEventListener('scroll', () => {
+      if (!ticking) {
+        requestAnimationFrame(updateHeader);
+        ticking = true;
+      }
+    }, { passive: true, signal: this.signal });
 
-    this.sections.forEach(section => {
-      observer.observe(section);
-    });
+    updateHeader();
+  }
+
+  initActiveNavigation() {
+    this.activeSectionObserver = observeActiveSection(this.sections, (id) => this.updateActiveNavLink(id));
   }
 
   updateActiveNavLink(activeId) {
@@ -123,23 +164,38 @@ export class NavigationManager {
   }
 
   initSmoothScrolling() {
-    document.querySelectorAll('a[href^="#"]').forEach(anchor => {
-      anchor.addEventListener('click', (e) => {
-        e.preventDefault();
-        const target = document.querySelector(anchor.getAttribute('href'));
-        if (target && this.header) {
-          const headerHeight = this.header.offsetHeight;
-          const targetPosition = target.offsetTop - headerHeight;
-
-          window.scrollTo({
-            top: targetPosition,
-            behavior: 'smooth'
-          });
-
-          // Close mobile menu if open
-          this.closeMobileMenu();
-        }
-      });
+    // Delegated so links added by other modules (e.g. a table of contents) scroll too
+    document.addEventListener('click', (e) => {
+      const anchor = e.target.closest && e.target.closest('a[href^="#"]');
+      if (!anchor) return;
+
+      const id = decodeURIComponent(anchor.getAttribute('href').substring(1));
+      const target = id ? document.getElementById(id) : null;
+      if (!target) return;
+
+      e.preventDefault();
+      this.scrollToElement(target);
+
+      // Close mobile menu if open
+      this.closeMobileMenu();
+    }, { signal: this.signal });
+  }
+
+  scrollToElement(target) {
+    const headerHeight = this.header ? this.header.offsetHeight : 0;
+    // Measured from the viewport, so targets nested in positioned sections work
+    const targetPosition = target.getBoundingClientRect().top + window.pageYOffset - headerHeight - SCROLL_OFFSET;
+
+    window.scrollTo({
+      top: targetPosition,
+      behavior: 'smooth'
     });
   }
-}
\ No newline at end of file
+
+  destroy() {
+    if (this.activeSectionObserver) {
+      this.activeSectionObserver.disconnect();
+    }
+    this.closeMobileMenu();
+  }
+}
@@ -0,0 +1,144 @@
+/**
+ * OfflineManager - Registers the Sonora service worker (sonora/sw.js) and
+ * tells the reader when a newer version of the legal document they're reading
+ * is available
+ *
+ * The worker's scope is the directory it's served from, /sonora/, whichever
+ * Sonora page registers it, so pages in sonora/legal/ share it too.
+ * Pages served from the cache are refreshed in the background; when a
+ * refreshed legal document has a new version the worker says so, and this
+ * module emits legal:update and, if it's this page, shows a banner offering
+ * to reload.
+ */
+import { announceToScreenReader } from '../utils/accessibility.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('offline');
+
+const SCOPE_SEGMENT = '/sonora/';
+const WORKER_FILE = 'sw.js';
+
+function createElement(tag, className, text) {
+  const element = document.createElement(tag);
+  if (className) element.className = className;
+  if (text !== undefined) element.textContent = text;
+  return element;
+}
+
+/**
+ * The worker's scope for this page, or null outside the Sonora pages
+ */
+export function getWorkerScope(pathname = window.location.pathname) {
+  const index = pathname.indexOf(SCOPE_SEGMENT);
+  return index === -1 ? null : pathname.slice(0, index + SCOPE_SEGMENT.length);
+}
+
+export class OfflineManager {
+  constructor({ signal, events } = {}) {
+    this.signal = signal;
+    this.events = events || null;
+    this.container = ('serviceWorker' in navigator) ? navigator.serviceWorker : null;
+    this.document = document.querySelector('[data-legal-version]');
+    this.registration = null;
+    this.banner = null;
+    this.announced = new Set();
+  }
+
+  async init() {
+    const scope = getWorkerScope();
+    if (!this.container || !scope) return;
+
+    this.container.addEventListener('message', event => this.handleMessage(event), { signal: this.signal });
+    // Messages sent while the page was loading wait for this
+    this.container.startMessages();
+
+    try {
+      this.registration = await this.container.register(`${scope}${WORKER_FILE}`, { scope });
+      log.info(`📶 Offline reading available for ${scope}`);
+    } catch (error) {
+      // Unsupported context (private mode, file:) - the pages work without it
+      log.warn('⚠️ Service worker not registered:', error);
+      return;
+    }
+
+    await this.checkCachedVersion();
+  }
+
+  handleMessage(event) {
+    const { data } = event;
+    if (!data || data.type !== 'legal-update') return;
+
+    this.notify({ url: data.url, version: data.version, previous: data.previous });
+  }
+
+  /**
+   * The worker may have refreshed this page before the listener was in place:
+   * compare with what's in the cache now
+   */
+  async checkCachedVersion() {
+    if (!this.document || typeof caches === 'undefined') return;
+
+    try {
+      const cached = await caches.match(window.location.pathname, { ignoreSearch: true });
+      if (!cached) return;
+
+      const match = (await cached.text()).match(/data-legal-version="([^"]+)"/);
+      if (match && match[1] !== this.document.dataset.legalVersion) {
+        this.notify({ url: window.location.href, version: match[1], previous: this.document.dataset.legalVersion });
+      }
+    } catch (error) {
+      log.debug('Cached version unavailable:', error);
+    }
+  }
+
+  notify({ url, version, previous }) {
+    if (this.signal && this.signal.aborted) return;
+
+    const key = `${new URL(url).pathname} ${version}`;
+    if (this.announced.has(key)) return;
+    this.announced.add(key);
+
+    log.info(`📄 ${new URL(url).pathname} updated from version ${previous} to ${version}`);
+    if (this.events) {
+      this.events.emit('legal:update', { url, version, previous });
+    }
+
+    const isThisPage = new URL(url).pathname === window.location.pathname;
+    if (isThisPage && this.document && this.document.dataset.legalVersion !== version) {
+      this.showBanner(version);
+    }
+  }
+
+  showBanner(version) {
+    if (this.banner) this.banner.remove();
+
+    const banner = createElement('div', 'update-banner');
+    banner.setAttribute('role', 'region');
+    banner.setAttribute('aria-label', 'Document update');
+
+    const message = `Version ${version} of this document is available. You're reading version ${this.document.dataset.legalVersion}.`;
+    const reload = createElement('button', 'update-banner-reload', 'Read the new version');
+    reload.type = 'button';
+    reload.addEventListener('click', () => window.location.reload(), { signal: this.signal });
+
+    const dismiss = createElement('button', 'update-banner-dismiss', 'Dismiss');
+    dismiss.type = 'button';
+    dismiss.addEventListener('click', () => this.hideBanner(), { signal: this.signal });
+
+    banner.append(createElement('p', null, message), reload, dismiss);
+    document.body.appendChild(banner);
+    this.banner = banner;
+
+    announceToScreenReader(message);
+  }
+
+  hideBanner() {
+    if (!this.banner) return;
+    this.banner.remove();
+    this.banner = null;
+  }
+
+  destroy() {
+    this.hideBanner();
+  }
+}
@@ -0,0 +1,244 @@
+/**
+ * PrintMode - Print-friendly legal documents
+ *
+ * Adds Print and, where the PDF exists, Download PDF actions under the page
+ * header. Print mode (the print-mode class on <html>) switches to the light
+ * palette, shows every section, hides navigation and controls and follows
+ * each link with its URL. It's on for the length of any print, so the
+ * browser's own Print command gets it too, and stays on with ?print=1, which
+ * is how scripts/build-pdf.js renders the PDFs. Every printed page is headed
+ * with the document's title, and footed with its version, effective date and
+ * page number. Browsers without @page margin boxes (Safari, Firefox) get the
+ * same details once, above and below the document, instead.
+ */
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('print');
+
+const PRINT_PARAM = 'print';
+const PRINT_THEME = 'light';
+
+function formatDate(iso) {
+  return new Intl.DateTimeFormat('en-US', { dateStyle: 'long', timeZone: 'UTC' }).format(new Date(iso));
+}
+
+/**
+ * Chrome exposes CSSMarginRule for the @page margin boxes; browsers without
+ * it drop them silently
+ */
+function supportsMarginBoxes() {
+  return typeof window.CSSMarginRule !== 'undefined';
+}
+
+/**
+ * Quote text for a CSS content property
+ */
+function cssString(text) {
+  return `"${String(text).replace(/[\\"]/g, '\\$&').replace(/\s+/g, ' ')}"`;
+}
+
+/**
+ * The page's published URL: a PDF rendered from a local server should still
+ * point readers at the site
+ */
+function publishedUrl() {
+  const meta = document.querySelector('meta[property="og:url"]');
+  return (meta && meta.content) || window.location.href;
+}
+
+/**
+ * What a printed link should show: the address for mail and phone links, the
+ * full URL for anything else. Links within the page show nothing.
+ */
+export function printableUrl(href, base) {
+  if (!href || href.startsWith('#')) return null;
+
+  const url = new URL(href, base);
+  if (url.protocol === 'mailto:' || url.protocol === 'tel:') {
+    return decodeURIComponent(url.pathname);
+  }
+  return url.href;
+}
+
+export class PrintMode {
+  constructor({ app, signal } = {}) {
+    this.app = app;
+    this.signal = signal;
+    this.root = document.documentElement;
+    this.document = document.querySelector('[data-legal-version]');
+    this.header = document.querySelector('.legal-header');
+    this.actions = null;
+    this.pageStyle = null;
+    this.running = [];
+    this.opened = [];
+    this.pinned = false;
+    this.active = false;
+  }
+
+  init() {
+    if (!this.document) return;
+
+    this.renderActions();
+    this.renderPageStyle();
+
+    window.addEventListener('beforeprint', () => this.enter(), { signal: this.signal });
+    window.addEventListener('afterprint', () => {
+      if (!this.pinned) this.exit();
+    }, { signal: this.signal });
+
+    if (new URLSearchParams(window.location.search).get(PRINT_PARAM) === '1') {
+      this.pinned = true;
+      this.enter();
+    }
+  }
+
+  renderActions() {
+    const actions = document.createElement('div');
+    actions.className = 'print-actions';
+
+    const print = document.createElement('button');
+    print.type = 'button';
+    print.textContent = '🖨️ Print';
+    print.addEventListener('click', () => this.print(), { signal: this.signal });
+    actions.appendChild(print);
+
+    const { legalPdf, legalVersion } = this.document.dataset;
+    if (legalPdf) this.renderDownload(actions, legalPdf, legalVersion);
+
+    const after = document.querySelector('.legal-container > .nav-links') || this.header;
+    if (after) {
+      after.after(actions);
+    } else {
+      this.document.prepend(actions);
+    }
+    this.actions = actions;
+  }
+
+  /**
+   * Only a build that ran scripts/build-pdf.js has the PDFs, so the link only
+   * appears once the file is known to be there
+   */
+  async renderDownload(actions, href, version) {
+    try {
+      const response = await fetch(href, { method: 'HEAD', signal: this.signal });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    } catch (error) {
+      log.debug(`📄 No PDF at ${href}:`, error.message);
+      return;
+    }
+
+    const download = document.createElement('a');
+    download.href = href;
+    download.setAttribute('download', '');
+    download.textContent = `📄 Download PDF (version ${version})`;
+    actions.appendChild(download);
+  }
+
+  /**
+   * Page header and footer, in the page margins where the browser supports
+   * @page margin boxes and in the flow of the page where it doesn't
+   */
+  renderPageStyle() {
+    const { legalTitle, legalVersion, effective } = this.document.dataset;
+    const title = legalTitle || document.title;
+    const address = publishedUrl().replace(/^https?:\/\//, '');
+    const details = [`Version ${legalVersion}`, effective ? `Effective ${formatDate(effective)}` : null].filter(Boolean).join(' · ');
+    const box = 'font-family: system-ui, sans-serif; font-size: 9pt; color: #424242;';
+
+    const rules = [
+      '@page {',
+      `  @top-left { content: ${cssString(title)}; ${box} }`,
+      `  @top-right { content: ${cssString(address)}; ${box} }`,
+      `  @bottom-left { content: ${cssString(details)}; ${box} }`,
+      `  @bottom-right { content: "Page " counter(page) " of " counter(pages); ${box} }`,
+      '}'
+    ];
+
+    if (!supportsMarginBoxes()) {
+      this.renderRunningBlocks([title, address], [details]);
+      rules.push(
+        '.print-running { display: none; }',
+        `.print-mode .print-running { display: flex; justify-content: space-between; gap: 1rem; ${box} }`,
+        '.print-mode .print-running-header { margin-bottom: 1rem; padding-bottom: 0.5rem; border-bottom: 1px solid #E0E0E0; }',
+        '.print-mode .print-running-footer { margin-top: 2rem; padding-top: 0.5rem; border-top: 1px solid #E0E0E0; }'
+      );
+    }
+
+    const style = document.createElement('style');
+    style.dataset.printPage = '';
+    style.textContent = rules.join('\n');
+
+    document.head.appendChild(style);
+    this.pageStyle = style;
+  }
+
+  /**
+   * The header at the top of the document and the footer at its end, shown
+   * only in print mode
+   */
+  renderRunningBlocks(header, footer) {
+    const container = this.document.closest('main') || this.document.parentElement;
+
+    const block = (kind, items) => {
+      const element = document.createElement('div');
+      element.className = `print-running print-running-${kind}`;
+      items.forEach(text => {
+        element.appendChild(document.createElement('span')).textContent = text;
+      });
+      return element;
+    };
+
+    this.running = [block('header', header), block('footer', footer)];
+    container.prepend(this.running[0]);
+    container.append(this.running[1]);
+  }
+
+  print() {
+    this.enter();
+    window.print();
+  }
+
+  enter() {
+    if (this.active) return;
+    this.active = true;
+
+    this.root.classList.add('print-mode');
+
+    const theme = this.app && this.app.getModule('theme');
+    if (theme) theme.forceTheme(PRINT_THEME);
+
+    // Collapsed content prints as collapsed
+    this.opened = Array.from(document.querySelectorAll('main details:not([open])'));
+    this.opened.forEach(details => { details.open = true; });
+
+    const base = publishedUrl();
+    document.querySelectorAll('main a[href]').forEach(link => {
+      const url = printableUrl(link.getAttribute('href'), base);
+      if (url) link.dataset.printUrl = url;
+    });
+
+    log.debug('🖨️ Print mode on');
+  }
+
+  exit() {
+    if (!this.active) return;
+    this.active = false;
+
+    this.root.classList.remove('print-mode');
+
+    const theme = this.app && this.app.getModule('theme');
+    if (theme) theme.forceTheme(null);
+
+    this.opened.forEach(details => { details.open = false; });
+    this.opened = [];
+
+    log.debug('🖨️ Print mode off');
+  }
+
+  destroy() {
+    this.exit();
+    if (this.actions) this.actions.remove();
+    if (this.pageStyle) this.pageStyle.remove();
+    this.running.forEach(element => element.remove());
+  }
+}
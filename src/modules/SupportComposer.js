@@ -0,0 +1,264 @@
+/**
+ * SupportComposer - Guided support request form that opens a pre-filled email
+ *
+ * Collects the details support asks for, validates them, fills in what the
+ * user agent reveals and opens a mailto: link with a structured body.
+ * The form is hidden until this module shows it; without JavaScript the
+ * page's plain mailto: links and checklist still work.
+ *
+ * Fields wrapped in [data-categories="bug privacy"] only show (and are only
+ * required) for those categories.
+ */
+import { MAX_MAILTO_LENGTH, buildMailtoUrl, validateUrl } from '../utils/links.js';
+
+const CATEGORIES = {
+  bug: { label: 'Bug report', subject: 'Sonora Bug Report' },
+  feature: { label: 'Feature request', subject: 'Sonora Feature Request' },
+  privacy: { label: 'Privacy request', subject: 'Sonora Privacy Request' },
+  question: { label: 'General question', subject: 'Sonora Support' }
+};
+
+// Body sections in the order they appear in the email
+const BODY_FIELDS = [
+  ['device', 'iPhone model'],
+  ['osVersion', 'iOS version'],
+  ['appVersion', 'Sonora version'],
+  ['privacyType', 'Request type'],
+  ['details', 'Details'],
+  ['steps', 'Steps to reproduce'],
+  ['expected', 'What I expected']
+];
+
+/**
+ * Read what the user agent reveals about the visitor's device
+ */
+export function detectEnvironment(userAgent = navigator.userAgent, maxTouchPoints = navigator.maxTouchPoints) {
+  let device = '';
+  if (/iPhone/.test(userAgent)) device = 'iPhone';
+  else if (/iPad/.test(userAgent) || (/Macintosh/.test(userAgent) && maxTouchPoints > 1)) device = 'iPad';
+  else if (/iPod/.test(userAgent)) device = 'iPod touch';
+
+  // "CPU iPhone OS 17_4_1 like Mac OS X" - Safari may report a frozen
+  // version here, so the form lets the visitor correct it.
+  const match = device && userAgent.match(/OS (\d+)[_.](\d+)(?:[_.](\d+))?/);
+  const osVersion = match ? match.slice(1).filter(Boolean).join('.') : '';
+
+  return { device, osVersion, userAgent };
+}
+
+export class SupportComposer {
+  constructor({ signal } = {}) {
+    this.signal = signal;
+    this.form = document.querySelector('[data-support-composer]');
+    this.environment = detectEnvironment();
+  }
+
+  init() {
+    if (!this.form) return;
+
+    this.recipient = this.form.dataset.recipient;
+    this.category = this.form.elements.category;
+    this.status = this.form.querySelector('.composer-status');
+    this.conditionalFields = Array.from(this.form.querySelectorAll('[data-categories]'));
+
+    this.prefill();
+    this.updateCategory();
+
+    this.handleChange = (e) => {
+      if (e.target === this.category) {
+        this.updateCategory();
+      }
+    };
+    this.handleInput = (e) => {
+      // Re-check a field once it has been flagged, so the error clears as it's fixed
+      if (e.target.getAttribute('aria-invalid') === 'true') {
+        this.validateField(e.target);
+      }
+    };
+    this.handleBlur = (e) => {
+      if (e.target.matches('input, textarea, select') && e.target.value) {
+        this.validateField(e.target);
+      }
+    };
+    this.handleSubmit = (e) => this.onSubmit(e);
+
+    this.form.addEventListener('change', this.handleChange, { signal: this.signal });
+    this.form.addEventListener('input', this.handleInput, { signal: this.signal });
+    this.form.addEventListener('focusout', this.handleBlur, { signal: this.signal });
+    this.form.addEventListener('submit', this.handleSubmit, { signal: this.signal });
+
+    this.form.noValidate = true;
+    this.form.hidden = false;
+  }
+
+  prefill() {
+    const { device, osVersion } = this.environment;
+    const deviceField = this.form.elements.device;
+    const osField = this.form.elements.osVersion;
+
+    if (deviceField && device && !deviceField.value) {
+      deviceField.placeholder = `${device} (add the model, e.g. ${device === 'iPhone' ? 'iPhone 15 Pro' : `${device} Air`})`;
+    }
+    if (osField && osVersion && !osField.value) {
+      osField.value = osVersion;
+    }
+  }
+
+  /**
+   * Show the fields for the selected category and require only those
+   */
+  updateCategory() {
+    const category = this.category.value;
+
+    this.conditionalFields.forEach(wrapper => {
+      const active = wrapper.dataset.categories.split(/\s+/).includes(category);
+      wrapper.hidden = !active;
+
+      wrapper.querySelectorAll('input, textarea, select').forEach(field => {
+        field.disabled = !active;
+        if (!active) this.clearError(field);
+      });
+    });
+  }
+
+  getFields() {
+    return Array.from(this.form.elements).filter(field =>
+      field.matches('input, textarea, select') && !field.disabled
+    );
+  }
+
+  validateField(field) {
+    // Whitespace alone shouldn't satisfy `required`
+    if (field.value.trim() === '') {
+      field.value = '';
+    }
+
+    if (field.checkValidity()) {
+      this.clearError(field);
+      return true;
+    }
+
+    this.showError(field, this.getErrorMessage(field));
+    return false;
+  }
+
+  getFieldName(field) {
+    const label = this.form.querySelector(`label[for="${field.id}"]`);
+    return label ? label.textContent.replace(/\s*\(.*\)\s*$/, '').trim() : 'This field';
+  }
+
+  getErrorMessage(field) {
+    const name = this.getFieldName(field);
+
+    if (field.validity.valueMissing) return `${name} is required`;
+    if (field.validity.tooShort) return `${name} needs at least ${field.minLength} characters`;
+    if (field.validity.tooLong) return `${name} can be at most ${field.maxLength} characters`;
+    if (field.validity.patternMismatch) return field.dataset.patternMessage || `${name} isn't in the expected format`;
+    return field.validationMessage;
+  }
+
+  showError(field, message) {
+    const error = document.getElementById(`${field.id}-error`);
+    field.setAttribute('aria-invalid', 'true');
+
+    if (error) {
+      error.textContent = message;
+      error.hidden = false;
+    }
+  }
+
+  clearError(field) {
+    const error = document.getElementById(`${field.id}-error`);
+    field.removeAttribute('aria-invalid');
+
+    if (error) {
+      error.textContent = '';
+      error.hidden = true;
+    }
+  }
+
+  /**
+   * Lay the form out as a plain-text email support can read at a glance
+   */
+  buildMessage() {
+    const values = Object.fromEntries(this.getFields().map(field => [field.name, field.value.trim()]));
+    const category = CATEGORIES[values.category] || CATEGORIES.question;
+
+    const lines = [`Category: ${category.label}`, ''];
+    BODY_FIELDS.forEach(([name, label]) => {
+      if (!values[name]) return;
+
+      // Multi-line answers go under their heading
+      if (values[name].includes('\n') || name === 'details' || name === 'steps') {
+        lines.push('', `${label}:`, values[name], '');
+      } else {
+        lines.push(`${label}: ${values[name]}`);
+      }
+    });
+
+    lines.push('', '--', `Browser: ${this.environment.userAgent}`);
+
+    return {
+      subject: values.summary ? `${category.subject}: ${values.summary}` : category.subject,
+      body: lines.join('\n').replace(/\n{3,}/g, '\n\n')
+    };
+  }
+
+  buildUrl() {
+    return buildMailtoUrl(this.recipient, this.buildMessage());
+  }
+
+  onSubmit(e) {
+    e.preventDefault();
+
+    const invalid = this.getFields().filter(field => !this.validateField(field));
+    if (invalid.length > 0) {
+      this.setStatus(`Please fix ${invalid.length === 1 ? '1 field' : `${invalid.length} fields`} before sending.`);
+      invalid[0].focus();
+      return;
+    }
+
+    const url = this.buildUrl();
+    if (url.length > MAX_MAILTO_LENGTH) {
+      this.showTooLong(url.length - MAX_MAILTO_LENGTH);
+      return;
+    }
+    if (!validateUrl(url)) {
+      this.setStatus("We couldn't turn these details into an email. Please email us directly using the address above.");
+      return;
+    }
+
+    this.setStatus('Opening your email app… If nothing happens, email us directly using the address above.');
+    window.location.href = url;
+  }
+
+  /**
+   * Mail clients cut off longer mailto: links, so flag the longest answer
+   * and say roughly how much of it to cut
+   */
+  showTooLong(excess) {
+    const encodedLength = field => encodeURIComponent(field.value.trim().replace(/\r?\n/g, '\r\n')).length;
+    const [longest] = this.getFields()
+      .filter(field => field.tagName === 'TEXTAREA' && field.value.trim())
+      .sort((a, b) => encodedLength(b) - encodedLength(a));
+
+    if (!longest) {
+      this.setStatus('This message is too long to send as an email link. Please email us directly using the address above.');
+      return;
+    }
+
+    // Accented letters and emoji take several characters each once encoded
+    const perCharacter = encodedLength(longest) / longest.value.trim().length;
+    const cut = Math.ceil(excess / perCharacter);
+
+    this.showError(longest, `${this.getFieldName(longest)} is about ${cut} ${cut === 1 ? 'character' : 'characters'} too long to fit in an email`);
+    this.setStatus('This message is too long to send as an email link. Shorten the highlighted answer and try again.');
+    longest.focus();
+  }
+
+  setStatus(message) {
+    if (this.status) {
+      this.status.textContent = message;
+    }
+  }
+}
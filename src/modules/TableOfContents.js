@@ -0,0 +1,186 @@
+/**
+ * TableOfContents - Builds a table of contents for long documents, highlights
+ * the section being read and adds copy-link anchors to every heading
+ *
+ * Sections are the <section> elements in <main> that start with an <h2>.
+ * Ids already in the markup are kept, so published links stay stable; any
+ * section or <h3> without one gets a slug generated from its heading.
+ */
+import { observeActiveSection } from './NavigationManager.js';
+import { announceToScreenReader } from '../utils/accessibility.js';
+
+const COPIED_DURATION = 2000;
+
+/**
+ * Turn heading text into a URL fragment: "6. Children's Privacy" -> "childrens-privacy"
+ */
+export function slugify(text) {
+  return text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/^\s*\d+(\.\d+)*\.?\s+/, '')
+    .replace(/&/g, ' and ')
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+export class TableOfContents {
+  constructor({ signal } = {}) {
+    this.signal = signal;
+    this.main = document.querySelector('main');
+    this.sections = [];
+    this.links = new Map();
+  }
+
+  init() {
+    if (!this.main) return;
+
+    this.sections = Array.from(this.main.querySelectorAll('section'))
+      .filter(section => section.querySelector(':scope > h2'));
+
+    if (this.sections.length === 0) return;
+
+    this.assignIds();
+    this.render();
+    this.addHeadingAnchors();
+
+    this.observer = observeActiveSection(this.sections, (id) => this.setActive(id));
+
+    // Generated ids didn't exist when the browser tried to follow the fragment
+    this.scrollToHash();
+  }
+
+  uniqueId(base) {
+    const root = base || 'section';
+    let id = root;
+    for (let i = 2; document.getElementById(id); i++) {
+      id = `${root}-${i}`;
+    }
+    return id;
+  }
+
+  assignIds() {
+    this.sections.forEach(section => {
+      const heading = section.querySelector(':scope > h2');
+      if (!section.id) {
+        section.id = this.uniqueId(slugify(heading.textContent));
+      }
+
+      // Sub-headings are namespaced by their section, since titles repeat across sections
+      section.querySelectorAll('h3').forEach(subheading => {
+        if (!subheading.id) {
+          subheading.id = this.uniqueId(`${section.id}-${slugify(subheading.textContent)}`);
+        }
+      });
+    });
+  }
+
+  render() {
+    const toc = document.createElement('details');
+    toc.className = 'toc';
+    toc.open = !window.matchMedia || !window.matchMedia('(max-width: 768px)').matches;
+
+    const summary = document.createElement('summary');
+    summary.className = 'toc-title';
+    summary.textContent = 'On this page';
+
+    const nav = document.createElement('nav');
+    nav.setAttribute('aria-label', 'Table of contents');
+
+    const list = document.createElement('ol');
+    list.className = 'toc-list';
+
+    this.sections.forEach(section => {
+      const item = document.createElement('li');
+      const link = document.createElement('a');
+      link.className = 'toc-link';
+      link.href = `#${section.id}`;
+      link.textContent = section.querySelector(':scope > h2').textContent.trim();
+
+      item.appendChild(link);
+      list.appendChild(item);
+      this.links.set(section.id, link);
+    });
+
+    nav.appendChild(list);
+    toc.append(summary, nav);
+
+    // Sits below the page's own links, ahead of the first section
+    const anchor = this.main.querySelector('.nav-links') || this.main.querySelector('header');
+    if (anchor) {
+      anchor.after(toc);
+    } else {
+      this.main.prepend(toc);
+    }
+
+    this.element = toc;
+  }
+
+  setActive(id) {
+    this.links.forEach((link, sectionId) => {
+      const active = sectionId === id;
+      link.classList.toggle('active', active);
+
+      if (active) {
+        link.setAttribute('aria-current', 'location');
+      } else {
+        link.removeAttribute('aria-current');
+      }
+    });
+  }
+
+  addHeadingAnchors() {
+    this.sections.forEach(section => {
+      const headings = [section.querySelector(':scope > h2'), ...section.querySelectorAll('h3')];
+
+      headings.forEach(heading => {
+        const target = heading.tagName === 'H2' ? section : heading;
+        const anchor = document.createElement('a');
+        anchor.className = 'heading-anchor';
+        anchor.href = `#${target.id}`;
+        anchor.textContent = '#';
+        anchor.setAttribute('aria-label', `Copy link to “${heading.textContent.trim()}”`);
+
+        anchor.addEventListener('click', () => this.copyLink(anchor, target.id), { signal: this.signal });
+        heading.appendChild(anchor);
+      });
+    });
+  }
+
+  /**
+   * Put the clause's full URL in the address bar and on the clipboard.
+   * NavigationManager still handles the scroll.
+   */
+  async copyLink(anchor, id) {
+    const url = new URL(window.location.href);
+    url.hash = id;
+    history.replaceState(history.state, '', url);
+
+    if (!navigator.clipboard || !navigator.clipboard.writeText) return;
+
+    try {
+      await navigator.clipboard.writeText(url.href);
+      anchor.classList.add('copied');
+      announceToScreenReader('Link copied to clipboard');
+      setTimeout(() => anchor.classList.remove('copied'), COPIED_DURATION);
+    } catch (error) {
+      // Clipboard access can be denied - the link is still in the address bar
+    }
+  }
+
+  scrollToHash() {
+    const id = decodeURIComponent(window.location.hash.substring(1));
+    const target = id && document.getElementById(id);
+    if (target && this.main.contains(target)) {
+      target.scrollIntoView({ block: 'start' });
+    }
+  }
+
+  destroy() {
+    if (this.observer) {
+      this.observer.disconnect();
+    }
+  }
+}
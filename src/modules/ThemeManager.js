@@ -1,70 +1,408 @@
 /**
- * ThemeManager - Handles dark/light theme switching and persistence
+ * ThemeManager - Handles theme palettes, system preference resolution and persistence
  */
+import { checkColorContrast } from '../utils/accessibility.js';
+import { createLogger } from '../utils/logger.js';
+import { DEFAULT_PALETTES, DEFAULT_CONTRAST_PAIRS } from './themePalettes.js';
+
+const log = createLogger('theme');
+
+// One key shared by every page on the origin. Version 1 stores
+// {"version":1,"preference":"dark",...}; version 0 was a bare 'light'/'dark'.
+const STORAGE_KEY = 'theme';
+const STORAGE_VERSION = 1;
+
+const SYSTEM_ICON = '🌓';
+
+// The <style> that holds every palette's rule; the head bootstrap creates it first
+const PALETTE_STYLE_ATTRIBUTE = 'data-theme-palettes';
+
+// Palettes registered before any ThemeManager is constructed
+const registeredPalettes = new Map();
+
+/**
+ * Resolve and apply the theme before first paint. Runs inline in each page's
+ * <head>, so it must stay self-contained ES5 with no references to module scope.
+ * Run npm run build:theme after changing it to update the pages.
+ */
+export function bootstrapTheme(storageKey) {
+  var theme;
+  var record = {};
+  try {
+    theme = localStorage.getItem(storageKey);
+    if (theme && theme.charAt(0) === '{') {
+      record = JSON.parse(theme);
+      theme = record.preference;
+    }
+  } catch (error) {
+    theme = null;
+  }
+
+  var root = document.documentElement;
+
+  if (!theme || theme === 'system') {
+    var prefersDark = window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches;
+    theme = prefersDark ? 'dark' : 'light';
+  } else if (record.properties) {
+    // The same rule ThemeManager writes, so the page's own stylesheets can still override it
+    var declarations = '';
+    for (var name in record.properties) {
+      declarations += name + ': ' + record.properties[name] + '; ';
+    }
+    var style = document.createElement('style');
+    style.setAttribute('data-theme-palettes', '');
+    style.textContent = ':root[data-theme="' + String(theme).replace(/["\\]/g, '') + '"] { ' + declarations + '}';
+    document.head.appendChild(style);
+  }
+
+  root.setAttribute('data-theme', theme);
+  root.style.colorScheme = record.colorScheme || (theme === 'dark' ? 'dark' : 'light');
+}
+
+/**
+ * Inline <script> body for bootstrapTheme, as scripts/build-theme.js writes it
+ * into each page's <head>
+ */
+export function getThemeBootstrapScript() {
+  return `(${bootstrapTheme.toString()})('${STORAGE_KEY}');`;
+}
+
+/**
+ * A palette's custom properties as a CSS rule for its data-theme.
+ * :root[data-theme] outranks the pages' plain :root and [data-theme] defaults;
+ * a later rule that's at least as specific, say in @media (prefers-contrast: more),
+ * still overrides it, which inline properties wouldn't allow.
+ */
+export function renderPaletteRule(palette) {
+  const declarations = Object.entries(palette.properties)
+    .map(([name, value]) => `${name}: ${value}; `)
+    .join('');
+  return `:root[data-theme="${palette.name.replace(/["\\]/g, '')}"] { ${declarations}}`;
+}
+
+/**
+ * Check a palette's text/background pairs and warn about any that fail WCAG AA
+ */
+export function auditPalette(palette) {
+  const pairs = palette.contrastPairs || DEFAULT_CONTRAST_PAIRS;
+
+  const results = pairs
+    .filter(([fg, bg]) => palette.properties[fg] && palette.properties[bg])
+    .map(([fg, bg]) => ({
+      foreground: fg,
+      background: bg,
+      ...checkColorContrast(palette.properties[fg], palette.properties[bg])
+    }));
+
+  results.filter(result => !result.AA).forEach(result => {
+    log.warn(
+      `⚠️ Palette "${palette.name}": ${result.foreground} on ${result.background} ` +
+      `has contrast ${result.ratio.toFixed(2)}:1 (AA needs 4.5:1)`
+    );
+  });
+
+  return results;
+}
+
+function normalizePalette(palette) {
+  if (!palette || !palette.name || palette.name === 'system') {
+    throw new Error('A theme palette needs a name other than "system"');
+  }
+
+  return {
+    label: palette.name,
+    icon: SYSTEM_ICON,
+    colorScheme: 'light',
+    properties: {},
+    ...palette
+  };
+}
+
+/**
+ * Register a palette for every ThemeManager created afterwards.
+ * Pages call this from a module script that runs before the app initializes.
+ */
+export function registerPalette(palette) {
+  const normalized = normalizePalette(palette);
+  auditPalette(normalized);
+  registeredPalettes.set(normalized.name, normalized);
+  return normalized;
+}
+
+/**
+ * Read a stored value in any schema version back into a preference
+ */
+function parseStoredPreference(value) {
+  let preference = value;
+
+  if (value && value.charAt(0) === '{') {
+    try {
+      preference = JSON.parse(value).preference;
+    } catch (error) {
+      preference = null;
+    }
+  }
+
+  return typeof preference === 'string' && preference ? preference : 'system';
+}
+
+DEFAULT_PALETTES.forEach(registerPalette);
+
 export class ThemeManager {
-  constructor() {
+  constructor(options = {}) {
+    this.signal = options.signal;
+    this.events = options.events || null;
     this.themeToggle = document.getElementById('themeToggle');
     this.themeIcon = document.getElementById('themeIcon');
     this.html = document.documentElement;
+    this.mediaQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+    this.forcedColorsQuery = window.matchMedia ? window.matchMedia('(forced-colors: active)') : null;
+    this.respectForcedColors = options.respectForcedColors !== false;
 
-    this.initTheme();
+    this.palettes = new Map(registeredPalettes);
+    this.paletteStyle = null;
+    this.forcedTheme = null;
+    (options.palettes || []).forEach(palette => this.registerPalette(palette));
   }
 
-  initTheme() {
-    if (!this.themeToggle || !this.themeIcon) return;
+  init() {
+    this.preference = this.readPreference();
+    this.renderTheme();
 
-    // Check for saved theme preference or default to 'light'
-    const savedTheme = localStorage.getItem('theme') || 'light';
-    this.html.setAttribute('data-theme', savedTheme);
-    this.updateThemeIcon(savedTheme);
-
-    this.themeToggle.addEventListener('click', () => {
-      this.toggleTheme();
-    });
+    if (this.themeToggle) {
+      this.themeToggle.addEventListener('click', () => {
+        this.toggleTheme();
+      }, { signal: this.signal });
+    }
 
-    // Listen for system theme changes
-    if (window.matchMedia) {
-      const mediaQuery = window.matchMedia('(prefers-color-scheme: dark)');
-      mediaQuery.addEventListener('change', (e) => {
-        // Only auto-switch if user hasn't manually set a preference
-        if (!localStorage.getItem('theme')) {
-          const newTheme = e.matches ? 'dark' : 'light';
-          this.setTheme(newTheme);
+    // Follow the OS setting live while the preference is 'system'
+    if (this.mediaQuery) {
+      this.mediaQuery.addEventListener('change', () => {
+        if (this.preference === 'system') {
+          this.applyTheme('system');
         }
-      });
+      }, { signal: this.signal });
+    }
+
+    // Step aside for the OS palette while forced colors (e.g. Windows high contrast) is on
+    if (this.forcedColorsQuery && this.respectForcedColors) {
+      this.forcedColorsQuery.addEventListener('change', () => {
+        this.applyTheme('system');
+      }, { signal: this.signal });
+    }
+
+    // Pick up changes made in other tabs, including the root and /sonora/ pages
+    window.addEventListener('storage', (e) => {
+      // A null key means the whole storage area was cleared
+      if (e.key !== STORAGE_KEY && e.key !== null) return;
+      if (e.storageArea && e.storageArea !== localStorage) return;
+
+      const preference = parseStoredPreference(e.key === null ? null : e.newValue);
+      if (preference === this.preference) return;
+
+      this.preference = preference;
+      this.applyTheme('remote');
+    }, { signal: this.signal });
+  }
+
+  /**
+   * Add a palette to this manager and the toggle cycle
+   */
+  registerPalette(palette) {
+    const normalized = normalizePalette(palette);
+    auditPalette(normalized);
+    this.palettes.set(normalized.name, normalized);
+
+    // A stored preference for this palette may have been waiting for it
+    if (this.preference === normalized.name) {
+      this.renderTheme();
+    } else if (this.preference) {
+      this.updateThemeIcon();
+    }
+
+    return normalized;
+  }
+
+  getPalettes() {
+    return Array.from(this.palettes.values());
+  }
+
+  getPreferences() {
+    return ['system', ...this.palettes.keys()];
+  }
+
+  readPreference() {
+    try {
+      return parseStoredPreference(localStorage.getItem(STORAGE_KEY));
+    } catch (error) {
+      return 'system';
+    }
+  }
+
+  writePreference(preference) {
+    try {
+      if (preference === null) {
+        localStorage.removeItem(STORAGE_KEY);
+        return;
+      }
+
+      const record = { version: STORAGE_VERSION, preference };
+      const palette = this.palettes.get(preference);
+
+      // Cache the palette so the head bootstrap can paint it before this module loads
+      if (palette) {
+        record.colorScheme = palette.colorScheme;
+        record.properties = palette.properties;
+      }
+
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(record));
+    } catch (error) {
+      // Storage can be unavailable (private mode, disabled cookies) - the
+      // preference still applies for this page view.
     }
   }
 
+  getSystemTheme() {
+    return this.mediaQuery && this.mediaQuery.matches ? 'dark' : 'light';
+  }
+
+  isForcedColors() {
+    return this.respectForcedColors && !!this.forcedColorsQuery && this.forcedColorsQuery.matches;
+  }
+
+  // Preferences for palettes this page hasn't registered fall back to the system theme
+  resolveTheme(preference = this.preference) {
+    return this.palettes.has(preference) ? preference : this.getSystemTheme();
+  }
+
+  // Cycle system -> each registered palette -> system
   toggleTheme() {
-    const currentTheme = this.html.getAttribute('data-theme');
-    const newTheme = currentTheme === 'dark' ? 'light' : 'dark';
-    this.setTheme(newTheme);
+    this.setThemePreference(this.getNextPreference());
+  }
+
+  getNextPreference() {
+    const preferences = this.getPreferences();
+    const index = preferences.indexOf(this.preference);
+    return preferences[(index + 1) % preferences.length];
   }
 
-  setTheme(theme) {
-    this.html.setAttribute('data-theme', theme);
-    localStorage.setItem('theme', theme);
-    this.updateThemeIcon(theme);
+  /**
+   * Apply the resolved theme for the current preference and announce it.
+   * `source` is 'user' when the visitor picked the preference in this tab,
+   * 'system' when the theme was resolved from prefers-color-scheme, and
+   * 'remote' when the preference changed in another tab.
+   */
+  applyTheme(source) {
+    const theme = this.renderTheme();
+    const detail = {
+      theme,
+      preference: this.preference,
+      forcedColors: this.isForcedColors(),
+      source
+    };
 
-    // Dispatch custom event for theme change
-    window.dispatchEvent(new CustomEvent('themechange', {
-      detail: { theme }
-    }));
+    // The bus re-dispatches this as a window 'themechange' event
+    if (this.events) {
+      this.events.emit('theme:change', detail);
+    } else {
+      window.dispatchEvent(new CustomEvent('themechange', { detail }));
+    }
   }
 
-  updateThemeIcon(theme) {
-    if (!this.themeIcon) return;
-    this.themeIcon.textContent = theme === 'dark' ? '☀️' : '🌙';
+  renderTheme() {
+    const theme = this.forcedTheme || this.resolveTheme();
+    const palette = this.palettes.get(theme);
+    const forcedColors = this.isForcedColors();
+
+    // The head bootstrap has usually applied this theme already
+    if (this.html.getAttribute('data-theme') !== theme) {
+      this.html.setAttribute('data-theme', theme);
+    }
+    if (this.html.style.colorScheme !== palette.colorScheme) {
+      this.html.style.colorScheme = palette.colorScheme;
+    }
+
+    this.html.toggleAttribute('data-forced-colors', forcedColors);
+    this.renderPaletteStyle(forcedColors);
+    this.updateThemeIcon();
+
+    return theme;
+  }
+
+  /**
+   * Write every registered palette's rule into the shared <style>, ahead of
+   * the page's stylesheets so they win any tie. Empty under forced colors.
+   */
+  renderPaletteStyle(forcedColors) {
+    if (!this.paletteStyle) {
+      this.paletteStyle = document.head.querySelector(`style[${PALETTE_STYLE_ATTRIBUTE}]`);
+    }
+    if (!this.paletteStyle) {
+      this.paletteStyle = document.createElement('style');
+      this.paletteStyle.setAttribute(PALETTE_STYLE_ATTRIBUTE, '');
+      document.head.insertBefore(this.paletteStyle, document.head.querySelector('style, link[rel="stylesheet"]'));
+    }
+
+    const css = forcedColors ? '' : this.getPalettes()
+      .filter(palette => Object.keys(palette.properties).length > 0)
+      .map(renderPaletteRule)
+      .join('\n');
+
+    if (this.paletteStyle.textContent !== css) {
+      this.paletteStyle.textContent = css;
+    }
+  }
+
+  updateThemeIcon() {
+    const palette = this.palettes.get(this.preference);
+    const label = palette ? `${palette.label} theme` : 'Theme follows your system setting';
+
+    if (this.themeIcon) {
+      this.themeIcon.textContent = palette ? palette.icon : SYSTEM_ICON;
+    }
+
+    if (this.themeToggle) {
+      const next = this.palettes.get(this.getNextPreference());
+      const nextLabel = next ? `${next.label} theme` : 'system theme';
+      this.themeToggle.setAttribute('aria-label', `${label}. Switch to ${nextLabel}`);
+    }
   }
 
   getCurrentTheme() {
     return this.html.getAttribute('data-theme') || 'light';
   }
 
+  getThemePreference() {
+    return this.preference;
+  }
+
   // Public method to set theme programmatically
-  setThemePreference(theme) {
-    if (theme === 'dark' || theme === 'light') {
-      this.setTheme(theme);
+  setThemePreference(preference) {
+    if (!this.getPreferences().includes(preference)) return;
+
+    this.preference = preference;
+    this.writePreference(preference);
+    this.applyTheme(preference === 'system' ? 'system' : 'user');
+  }
+
+  // Forget the stored choice and follow the OS again
+  clearThemePreference() {
+    this.preference = 'system';
+    this.writePreference(null);
+    this.applyTheme('system');
+  }
+
+  /**
+   * Show a palette without touching the visitor's preference (the light one
+   * while printing, say); null goes back to the preference. Nothing is stored
+   * or announced.
+   */
+  forceTheme(name) {
+    if (name !== null && !this.palettes.has(name)) {
+      throw new Error(`Unknown palette "${name}"`);
     }
+
+    this.forcedTheme = name;
+    this.renderTheme();
   }
-}
\ No newline at end of file
+}
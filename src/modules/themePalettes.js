@@ -0,0 +1,97 @@
+/**
+ * Built-in theme palettes for ThemeManager
+ *
+ * A palette is a named set of CSS custom properties. `colorScheme` tells the
+ * browser which native controls to draw, `icon` is shown on the theme toggle
+ * while the palette is active, and `contrastPairs` lists the
+ * [foreground, background] properties checked when the palette is registered.
+ */
+
+// Text/background pairs every palette is checked against unless it lists its own
+export const DEFAULT_CONTRAST_PAIRS = [
+  ['--text-primary', '--bg-primary'],
+  ['--text-primary', '--bg-secondary'],
+  ['--text-primary', '--bg-tertiary'],
+  ['--text-secondary', '--bg-primary'],
+  ['--text-secondary', '--bg-secondary'],
+  ['--text-secondary', '--bg-tertiary'],
+  ['--text-muted', '--bg-primary'],
+  ['--text-muted', '--bg-secondary'],
+  // Primary is used both as text on the page and behind --on-primary button text
+  ['--primary-color', '--bg-primary'],
+  ['--primary-color', '--bg-tertiary'],
+  ['--on-primary', '--primary-color']
+];
+
+export const DEFAULT_PALETTES = [
+  {
+    name: 'light',
+    label: 'Dawn',
+    icon: '🌙',
+    colorScheme: 'light',
+    properties: {
+      '--primary-color': '#B34700',
+      '--primary-hover': '#993D00',
+      '--on-primary': '#FFFFFF',
+      '--accent-color': '#C2185B',
+      '--secondary-color': '#2196F3',
+      '--text-primary': '#1A1A1A',
+      '--text-secondary': '#424242',
+      '--text-muted': '#616161',
+      '--bg-primary': '#FAFAFA',
+      '--bg-secondary': '#F5F5F5',
+      '--bg-tertiary': '#EEEEEE',
+      '--border-color': '#E0E0E0'
+    }
+  },
+  {
+    name: 'dark',
+    label: 'Dusk',
+    icon: '☀️',
+    colorScheme: 'dark',
+    properties: {
+      '--primary-color': '#FF7043',
+      '--primary-hover': '#FF5722',
+      '--on-primary': '#121212',
+      '--accent-color': '#CE93D8',
+      '--secondary-color': '#42A5F5',
+      '--text-primary': '#FFFFFF',
+      '--text-secondary': '#E0E0E0',
+      '--text-muted': '#BDBDBD',
+      '--bg-primary': '#121212',
+      '--bg-secondary': '#1E1E1E',
+      '--bg-tertiary': '#2A2A2A',
+      '--border-color': '#333333'
+    }
+  },
+  {
+    name: 'high-contrast',
+    label: 'High contrast',
+    icon: '◐',
+    colorScheme: 'light',
+    properties: {
+      '--primary-color': '#0033CC',
+      '--primary-hover': '#002299',
+      '--on-primary': '#FFFFFF',
+      '--accent-color': '#6A00C8',
+      '--secondary-color': '#6A00C8',
+      '--text-primary': '#000000',
+      '--text-secondary': '#000000',
+      '--text-muted': '#333333',
+      '--bg-primary': '#FFFFFF',
+      '--bg-secondary': '#FFFFFF',
+      '--bg-tertiary': '#FFFFFF',
+      '--border-color': '#000000',
+      '--glass-bg': '#FFFFFF',
+      '--glass-border': '#000000',
+      '--gradient-primary': 'linear-gradient(135deg, #0033CC 0%, #0033CC 100%)',
+      '--gradient-text': 'linear-gradient(135deg, #0033CC 0%, #0033CC 100%)',
+      '--gradient-hero': 'linear-gradient(135deg, #FFFFFF 0%, #FFFFFF 100%)',
+      '--gradient-card': 'none'
+    },
+    contrastPairs: [
+      ...DEFAULT_CONTRAST_PAIRS,
+      ['--accent-color', '--bg-primary']
+    ]
+  }
+];
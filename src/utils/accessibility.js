@@ -1,11 +1,16 @@
 /**
  * Accessibility utilities and enhancements
  */
+import { createLogger } from './logger.js';
+
+const log = createLogger('accessibility');
 
 /**
- * Create and insert skip link for keyboard navigation
+ * Create and insert skip link for keyboard navigation.
+ * Pass { signal } to remove the link and its listeners when it aborts.
  */
-export function createSkipLink() {
+export function createSkipLink(options = {}) {
+  const listenerOptions = { signal: options.signal };
   const skipLink = document.createElement('a');
   skipLink.href = '#main-content';
   skipLink.textContent = 'Skip to main content';
@@ -31,7 +36,7 @@ export function createSkipLink() {
       text-decoration: none;
       border-radius: 3px;
     `;
-  });
+  }, listenerOptions);
 
   skipLink.addEventListener('blur', () => {
     skipLink.style.cssText = `
@@ -42,9 +47,13 @@ export function createSkipLink() {
       height: 1px;
       overflow: hidden;
     `;
-  });
+  }, listenerOptions);
 
   document.body.insertBefore(skipLink, document.body.firstChild);
+
+  if (options.signal) {
+    options.signal.addEventListener('abort', () => skipLink.remove(), { once: true });
+  }
 }
 
 /**
@@ -124,7 +133,7 @@ export function enhanceAriaLabels() {
   document.querySelectorAll('button:not([aria-label]):not([aria-labelledby])').forEach(button => {
     const text = button.textContent.trim();
     if (!text && button.querySelector('svg, img')) {
-      console.warn('Button without accessible text found:', button);
+      log.warn('Button without accessible text found:', button);
     }
   });
 
@@ -142,16 +151,119 @@ export function prefersReducedMotion() {
   return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
 }
 
+const NAMED_COLORS = {
+  transparent: { r: 0, g: 0, b: 0, a: 0 },
+  black: { r: 0, g: 0, b: 0, a: 1 },
+  white: { r: 255, g: 255, b: 255, a: 1 }
+};
+
+/**
+ * Replace var(--name, fallback) references with the custom property values
+ * in scope for `element`, walking up the tree for engines that don't inherit them.
+ */
+export function resolveCssVariables(value, element = document.documentElement, view = window) {
+  let resolved = value;
+
+  // Nested references resolve one level per pass
+  for (let depth = 0; depth < 10 && resolved.includes('var('); depth++) {
+    resolved = resolved.replace(/var\(\s*(--[\w-]+)\s*(?:,\s*([^()]*(?:\([^()]*\))?[^()]*))?\)/g, (match, name, fallback) => {
+      for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+        // Inline declarations first - some engines leave them out of computed style
+        const custom = node.style.getPropertyValue(name).trim()
+          || view.getComputedStyle(node).getPropertyValue(name).trim();
+        if (custom) return custom;
+      }
+      return fallback !== undefined ? fallback.trim() : '';
+    });
+  }
+
+  return resolved;
+}
+
+/**
+ * Parse a CSS colour - hex (3, 4, 6 or 8 digits), rgb()/rgba(), hsl()/hsla()
+ * or a few keywords - into { r, g, b, a }. Returns null for anything else.
+ */
+export function parseColor(color) {
+  if (color && typeof color === 'object') return color;
+  if (typeof color !== 'string') return null;
+
+  const value = color.trim().toLowerCase();
+
+  if (NAMED_COLORS[value]) return { ...NAMED_COLORS[value] };
+
+  const hex = value.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+  if (hex) {
+    const digits = hex[1].length <= 4
+      ? hex[1].split('').map(digit => digit + digit)
+      : hex[1].match(/../g);
+    const [r, g, b, a = 'ff'] = digits;
+    return {
+      r: parseInt(r, 16),
+      g: parseInt(g, 16),
+      b: parseInt(b, 16),
+      a: parseInt(a, 16) / 255
+    };
+  }
+
+  const fn = value.match(/^(rgba?|hsla?)\(([^)]*)\)$/);
+  if (!fn) return null;
+
+  // Accept both "1, 2, 3, 0.5" and "1 2 3 / 50%"
+  const parts = fn[2].split(/[\s,/]+/).filter(Boolean);
+  if (parts.length < 3) return null;
+
+  const channel = (part, scale) => part.endsWith('%') ? parseFloat(part) / 100 * scale : parseFloat(part);
+  const alpha = parts[3] !== undefined ? channel(parts[3], 1) : 1;
+
+  if (fn[1].startsWith('rgb')) {
+    const [r, g, b] = parts.slice(0, 3).map(part => channel(part, 255));
+    return { r, g, b, a: alpha };
+  }
+
+  const h = ((parseFloat(parts[0]) % 360) + 360) % 360;
+  const sat = parseFloat(parts[1]) / 100;
+  const light = parseFloat(parts[2]) / 100;
+  const k = (n) => (n + h / 30) % 12;
+  const f = (n) => light - sat * Math.min(light, 1 - light) * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+
+  return {
+    r: Math.round(f(0) * 255),
+    g: Math.round(f(8) * 255),
+    b: Math.round(f(4) * 255),
+    a: alpha
+  };
+}
+
 /**
- * Ensure minimum color contrast for dynamic content
+ * Paint a (possibly translucent) colour over an opaque backdrop
  */
-export function checkColorContrast(foreground, background) {
-  // Simple contrast ratio calculation
-  const getLuminance = (color) => {
-    const rgb = color.match(/\d+/g);
-    if (!rgb) return 0;
+export function compositeColors(top, bottom) {
+  const a = top.a === undefined ? 1 : top.a;
 
-    const [r, g, b] = rgb.map(val => {
+  return {
+    r: top.r * a + bottom.r * (1 - a),
+    g: top.g * a + bottom.g * (1 - a),
+    b: top.b * a + bottom.b * (1 - a),
+    a: 1
+  };
+}
+
+/**
+ * Ensure minimum color contrast for dynamic content.
+ * Colours may be any format parseColor understands or var() references;
+ * pass { large: true } for large text (24px, or 18.66px bold).
+ */
+export function checkColorContrast(foreground, background, options = {}) {
+  const resolve = (color) => {
+    const value = typeof color === 'string' && color.includes('var(') && typeof document !== 'undefined'
+      ? resolveCssVariables(color)
+      : color;
+    return parseColor(value);
+  };
+
+  const getLuminance = (rgb) => {
+    const [r, g, b] = [rgb.r, rgb.g, rgb.b].map(val => {
       const sRGB = val / 255;
       return sRGB <= 0.03928 ? sRGB / 12.92 : Math.pow((sRGB + 0.055) / 1.055, 2.4);
     });
@@ -159,15 +271,19 @@ export function checkColorContrast(foreground, background) {
     return 0.2126 * r + 0.7152 * g + 0.0722 * b;
   };
 
-  const fgLuminance = getLuminance(foreground);
-  const bgLuminance = getLuminance(background);
+  const white = NAMED_COLORS.white;
+  const bg = compositeColors(resolve(background) || white, white);
+  const fg = compositeColors(resolve(foreground) || NAMED_COLORS.black, bg);
+
+  const fgLuminance = getLuminance(fg);
+  const bgLuminance = getLuminance(bg);
 
   const contrast = (Math.max(fgLuminance, bgLuminance) + 0.05) /
                   (Math.min(fgLuminance, bgLuminance) + 0.05);
 
   return {
     ratio: contrast,
-    AA: contrast >= 4.5,
-    AAA: contrast >= 7
+    AA: contrast >= (options.large ? 3 : 4.5),
+    AAA: contrast >= (options.large ? 4.5 : 7)
   };
-}
\ No newline at end of file
+}
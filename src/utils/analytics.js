@@ -0,0 +1,198 @@
+/**
+ * Privacy-respecting analytics
+ *
+ * Nothing is collected until the visitor grants consent, and consent can't be
+ * granted while the browser sends Do Not Track or Global Privacy Control.
+ * With consent, events are only counted: no cookies, no identifiers, no URLs
+ * beyond the page's own path. The counts are posted to the configured
+ * endpoint with navigator.sendBeacon when the page is hidden or unloaded.
+ *
+ * Beacon body (schema 1), sent as JSON:
+ *
+ *   {
+ *     "schema": 1,
+ *     "path": "/sonora/support.html",
+ *     "counts": [
+ *       { "event": "link_click", "dimensions": { "type": "external" }, "count": 2 }
+ *     ]
+ *   }
+ *
+ * `event` and each dimension come from ANALYTICS_EVENTS; any other property
+ * passed to track() is dropped, and unlisted values are reported as 'other'.
+ * scripts/analytics-receiver.js accepts these beacons for local testing.
+ */
+import { createLogger } from './logger.js';
+
+const log = createLogger('analytics');
+
+export const SCHEMA_VERSION = 1;
+
+// Remembers the visitor's choice, not the visitor
+const CONSENT_KEY = 'analytics-consent';
+
+export const DURATION_BUCKETS = Object.freeze(['<1s', '1-2.5s', '2.5-4s', '>4s']);
+
+/**
+ * Every event that can be counted, with the values each dimension may take
+ */
+export const ANALYTICS_EVENTS = Object.freeze({
+  page_view: {},
+  page_load: { duration: DURATION_BUCKETS },
+  link_click: { type: ['internal', 'external', 'email', 'phone'] }
+});
+
+let consent = 'denied';
+let endpoint = null;
+let counts = new Map();
+
+/**
+ * Do Not Track or Global Privacy Control is set
+ */
+export function isTrackingBlocked() {
+  if (typeof navigator === 'undefined') return true;
+
+  return navigator.globalPrivacyControl === true
+    || navigator.doNotTrack === '1'
+    || (typeof window !== 'undefined' && window.doNotTrack === '1');
+}
+
+/**
+ * 'granted' or 'denied'. A browser privacy signal always means 'denied'.
+ */
+export function getConsent() {
+  return isTrackingBlocked() ? 'denied' : consent;
+}
+
+/**
+ * Record the visitor's choice. Withdrawing consent drops anything not yet sent.
+ */
+export function setConsent(state) {
+  if (state !== 'granted' && state !== 'denied') {
+    throw new Error(`Consent must be 'granted' or 'denied', not "${state}"`);
+  }
+
+  if (state === 'granted' && isTrackingBlocked()) {
+    log.info('🛑 Consent ignored: the browser asks not to be tracked');
+  }
+
+  consent = state;
+  if (state === 'denied') counts = new Map();
+
+  try {
+    if (state === 'granted') {
+      localStorage.setItem(CONSENT_KEY, state);
+    } else {
+      localStorage.removeItem(CONSENT_KEY);
+    }
+  } catch (error) {
+    // Consent still applies to this page
+  }
+
+  log.debug(`Consent ${getConsent()}`);
+}
+
+/**
+ * Bucket a duration in milliseconds for page_load
+ */
+export function durationBucket(ms) {
+  if (ms < 1000) return '<1s';
+  if (ms < 2500) return '1-2.5s';
+  if (ms < 4000) return '2.5-4s';
+  return '>4s';
+}
+
+/**
+ * Keep only the dimensions the schema lists, with values it allows
+ */
+function normalizeDimensions(name, properties) {
+  const schema = ANALYTICS_EVENTS[name];
+
+  return Object.keys(schema).sort().reduce((dimensions, key) => {
+    if (properties[key] !== undefined) {
+      dimensions[key] = schema[key].includes(properties[key]) ? properties[key] : 'other';
+    }
+    return dimensions;
+  }, {});
+}
+
+/**
+ * Count an event. Does nothing without consent.
+ */
+export function track(name, properties = {}) {
+  if (!ANALYTICS_EVENTS[name]) {
+    log.warn(`Unknown analytics event "${name}" - add it to ANALYTICS_EVENTS`);
+    return;
+  }
+  if (getConsent() !== 'granted') return;
+
+  const dimensions = normalizeDimensions(name, properties);
+  const key = JSON.stringify([name, dimensions]);
+  const entry = counts.get(key) || { event: name, dimensions, count: 0 };
+
+  entry.count++;
+  counts.set(key, entry);
+  log.debug(`📊 ${name}`, dimensions);
+}
+
+/**
+ * The counts waiting to be sent
+ */
+export function snapshot() {
+  return Array.from(counts.values(), entry => ({ ...entry, dimensions: { ...entry.dimensions } }));
+}
+
+/**
+ * Send pending counts. They're kept if there's nowhere to send them or the
+ * browser refuses the beacon.
+ */
+export function flush() {
+  if (counts.size === 0 || !endpoint || getConsent() !== 'granted') return false;
+  if (!navigator.sendBeacon) return false;
+
+  const body = JSON.stringify({
+    schema: SCHEMA_VERSION,
+    path: window.location.pathname,
+    counts: snapshot()
+  });
+
+  if (!navigator.sendBeacon(endpoint, body)) {
+    log.warn('Analytics beacon was not queued');
+    return false;
+  }
+
+  counts = new Map();
+  return true;
+}
+
+/**
+ * Restore a stored choice, pick up the endpoint and send counts when the page
+ * goes away. The endpoint comes from <meta name="analytics-endpoint"> unless
+ * one is passed; without either, nothing ever leaves the page.
+ */
+export function initAnalytics(options = {}) {
+  const meta = document.querySelector('meta[name="analytics-endpoint"]');
+  endpoint = options.endpoint || (meta && meta.content) || null;
+
+  try {
+    if (localStorage.getItem(CONSENT_KEY) === 'granted') consent = 'granted';
+  } catch (error) {
+    // No storage: consent stays denied
+  }
+
+  const listenerOptions = { signal: options.signal };
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') flush();
+  }, listenerOptions);
+  window.addEventListener('pagehide', flush, listenerOptions);
+
+  // The app tears down on pagehide, possibly before the listener above runs
+  if (options.signal) {
+    options.signal.addEventListener('abort', flush, { once: true });
+  }
+
+  if (isTrackingBlocked()) {
+    log.debug('🛑 Do Not Track / Global Privacy Control: analytics off');
+  }
+
+  track('page_view');
+}
@@ -0,0 +1,247 @@
+/**
+ * WCAG contrast audit for rendered pages
+ */
+import {
+  checkColorContrast,
+  compositeColors,
+  parseColor,
+  resolveCssVariables
+} from './accessibility.js';
+
+const SKIPPED_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'SVG', 'TITLE']);
+
+// Used when an engine doesn't report font-size (jsdom computes no layout)
+const DEFAULT_FONT_SIZES = { H1: 32, H2: 24, H3: 18.72, H4: 16, H5: 13.28, H6: 10.72 };
+
+// Canvas colours browsers paint behind the root for each color-scheme
+const CANVAS = {
+  light: { r: 255, g: 255, b: 255, a: 1 },
+  dark: { r: 18, g: 18, b: 18, a: 1 }
+};
+
+// Combinations of gradient stops tracked per element before giving up on precision
+const MAX_BACKGROUND_CANDIDATES = 8;
+
+/**
+ * Build a readable, reasonably unique selector for an element
+ */
+export function getElementSelector(element) {
+  const parts = [];
+
+  for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+    if (node.id) {
+      parts.unshift(`#${node.id}`);
+      break;
+    }
+
+    const tag = node.tagName.toLowerCase();
+    if (tag === 'html' || tag === 'body') {
+      parts.unshift(tag);
+      break;
+    }
+
+    let part = tag + Array.from(node.classList).map(name => `.${name}`).join('');
+    const siblings = node.parentElement
+      ? Array.from(node.parentElement.children).filter(child => child.tagName === node.tagName)
+      : [];
+    if (siblings.length > 1) {
+      part += `:nth-of-type(${siblings.indexOf(node) + 1})`;
+    }
+    parts.unshift(part);
+  }
+
+  return parts.join(' > ');
+}
+
+function formatColor({ r, g, b }) {
+  return `rgb(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)})`;
+}
+
+function getProperty(element, property, view) {
+  const value = view.getComputedStyle(element).getPropertyValue(property).trim();
+  return value.includes('var(') ? resolveCssVariables(value, element, view) : value;
+}
+
+function isHidden(element, view) {
+  for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+    if (node.hidden || node.getAttribute('aria-hidden') === 'true') return true;
+
+    const style = view.getComputedStyle(node);
+    if (style.display === 'none' || style.visibility === 'hidden') return true;
+  }
+  return false;
+}
+
+/**
+ * Every colour an element's own background may paint - one for a solid
+ * colour, each stop for a gradient, none for a transparent background.
+ */
+function getBackgroundColors(element, view) {
+  const backgroundColor = parseColor(getProperty(element, 'background-color', view));
+  if (backgroundColor && backgroundColor.a > 0) return [backgroundColor];
+
+  // Engines without layout leave var()-based `background` shorthands unexpanded
+  const background = getProperty(element, 'background', view) || getProperty(element, 'background-image', view);
+  const matches = background.match(/#[0-9a-f]{3,8}\b|(?:rgba?|hsla?)\([^)]*\)|\b(?:white|black)\b/gi) || [];
+
+  return matches.map(parseColor).filter(color => color && color.a > 0);
+}
+
+function getOpacity(element, view) {
+  const opacity = parseFloat(view.getComputedStyle(element).opacity);
+  // Opacity 0 is the resting state of .fade-in before it animates in
+  return Number.isNaN(opacity) || opacity === 0 ? 1 : opacity;
+}
+
+/**
+ * Resolve the opaque colours painted behind an element, compositing
+ * translucent layers over whatever is underneath them.
+ */
+function getEffectiveBackgrounds(element, view) {
+  const layers = [];
+  let opaque = false;
+
+  for (let node = element; node && node.nodeType === 1 && !opaque; node = node.parentElement) {
+    const colors = getBackgroundColors(node, view);
+    if (colors.length > 0) {
+      layers.push(colors);
+      opaque = colors.every(color => color.a >= 1);
+    }
+  }
+
+  const root = element.ownerDocument.documentElement;
+  const scheme = getProperty(root, 'color-scheme', view).includes('dark') ? 'dark' : 'light';
+  let candidates = [CANVAS[scheme]];
+
+  layers.reverse().forEach(colors => {
+    const next = [];
+    colors.forEach(color => {
+      candidates.forEach(backdrop => next.push(compositeColors(color, backdrop)));
+    });
+    candidates = next.slice(0, MAX_BACKGROUND_CANDIDATES);
+  });
+
+  return candidates;
+}
+
+function getForeground(element, view) {
+  let color = null;
+  for (let node = element; node && node.nodeType === 1 && !color; node = node.parentElement) {
+    color = parseColor(getProperty(node, 'color', view));
+  }
+  color = color || { r: 0, g: 0, b: 0, a: 1 };
+
+  let opacity = 1;
+  for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+    opacity *= getOpacity(node, view);
+  }
+
+  return { ...color, a: (color.a === undefined ? 1 : color.a) * opacity };
+}
+
+function isLargeText(element, view) {
+  const style = view.getComputedStyle(element);
+  const fontSize = parseFloat(style.fontSize) || DEFAULT_FONT_SIZES[element.tagName] || 16;
+  const weight = style.fontWeight === 'bold' ? 700 : parseInt(style.fontWeight, 10)
+    || (/^H[1-6]$|^STRONG$|^B$/.test(element.tagName) ? 700 : 400);
+
+  return fontSize >= 24 || (fontSize >= 18.66 && weight >= 700);
+}
+
+/**
+ * Audit every element with visible text under `root` against WCAG AA and AAA.
+ * Returns { checked, failures: [{ selector, text, foreground, background,
+ * ratio, large, level }] } where level is the first level the text fails.
+ */
+export function auditContrast(options = {}) {
+  const view = options.view || window;
+  const doc = view.document;
+  const root = options.root || doc.body;
+
+  const elements = new Set();
+  const walker = doc.createTreeWalker(root, view.NodeFilter.SHOW_TEXT);
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    const parent = node.parentElement;
+    // Emoji and symbols carry no readable text to check
+    if (parent && /[\p{L}\p{N}]/u.test(node.textContent) && !SKIPPED_TAGS.has(parent.tagName.toUpperCase())) {
+      elements.add(parent);
+    }
+  }
+
+  const failures = [];
+  let checked = 0;
+
+  elements.forEach(element => {
+    if (isHidden(element, view)) return;
+    checked++;
+
+    const large = isLargeText(element, view);
+    const foreground = getForeground(element, view);
+
+    // Gradients are judged by their worst stop
+    const results = getEffectiveBackgrounds(element, view).map(background => ({
+      background,
+      foreground: compositeColors(foreground, background),
+      ...checkColorContrast(compositeColors(foreground, background), background, { large })
+    }));
+    const worst = results.reduce((min, result) => result.ratio < min.ratio ? result : min);
+
+    if (!worst.AAA) {
+      failures.push({
+        selector: getElementSelector(element),
+        text: element.textContent.trim().replace(/\s+/g, ' ').slice(0, 60),
+        foreground: formatColor(worst.foreground),
+        background: formatColor(worst.background),
+        ratio: Math.round(worst.ratio * 100) / 100,
+        large,
+        level: worst.AA ? 'AAA' : 'AA'
+      });
+    }
+  });
+
+  return {
+    checked,
+    failures,
+    summary: {
+      AA: failures.filter(failure => failure.level === 'AA').length,
+      AAA: failures.length
+    }
+  };
+}
+
+/**
+ * Run auditContrast once per palette ({ name, colorScheme, properties }),
+ * restoring the page's theme afterwards.
+ */
+export function auditThemes(palettes, options = {}) {
+  const view = options.view || window;
+  const html = view.document.documentElement;
+  const previousTheme = html.getAttribute('data-theme');
+  const previousStyle = html.getAttribute('style');
+
+  const reports = palettes.map(palette => {
+    html.setAttribute('data-theme', palette.name);
+    html.style.colorScheme = palette.colorScheme || 'light';
+    Object.entries(palette.properties || {}).forEach(([name, value]) => {
+      html.style.setProperty(name, value);
+    });
+
+    const report = auditContrast({ ...options, view });
+
+    if (previousStyle === null) {
+      html.removeAttribute('style');
+    } else {
+      html.setAttribute('style', previousStyle);
+    }
+
+    return { theme: palette.name, ...report };
+  });
+
+  if (previousTheme === null) {
+    html.removeAttribute('data-theme');
+  } else {
+    html.setAttribute('data-theme', previousTheme);
+  }
+
+  return reports;
+}
@@ -0,0 +1,121 @@
+/**
+ * Diff utilities for comparing document versions
+ */
+
+// Past this many cells the LCS table costs more than the diff is worth
+const MAX_TABLE_CELLS = 250000;
+
+/**
+ * Diff two arrays with a longest-common-subsequence walk.
+ * Returns [{ type: 'equal' | 'delete' | 'insert', value }] in reading order.
+ */
+export function diffSequences(before, after) {
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) {
+    start++;
+  }
+
+  let endBefore = before.length;
+  let endAfter = after.length;
+  while (endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]) {
+    endBefore--;
+    endAfter--;
+  }
+
+  const head = before.slice(0, start).map(value => ({ type: 'equal', value }));
+  const tail = before.slice(endBefore).map(value => ({ type: 'equal', value }));
+  const left = before.slice(start, endBefore);
+  const right = after.slice(start, endAfter);
+
+  if (left.length * right.length > MAX_TABLE_CELLS) {
+    return [
+      ...head,
+      ...left.map(value => ({ type: 'delete', value })),
+      ...right.map(value => ({ type: 'insert', value })),
+      ...tail
+    ];
+  }
+
+  // lengths[i][j] = LCS length of left[i..] and right[j..]
+  const lengths = Array.from({ length: left.length + 1 }, () => new Uint32Array(right.length + 1));
+  for (let i = left.length - 1; i >= 0; i--) {
+    for (let j = right.length - 1; j >= 0; j--) {
+      lengths[i][j] = left[i] === right[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const middle = [];
+  let i = 0;
+  let j = 0;
+  while (i < left.length && j < right.length) {
+    if (left[i] === right[j]) {
+      middle.push({ type: 'equal', value: left[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      middle.push({ type: 'delete', value: left[i++] });
+    } else {
+      middle.push({ type: 'insert', value: right[j++] });
+    }
+  }
+  while (i < left.length) middle.push({ type: 'delete', value: left[i++] });
+  while (j < right.length) middle.push({ type: 'insert', value: right[j++] });
+
+  return [...head, ...middle, ...tail];
+}
+
+/**
+ * Word-level diff of two strings; whitespace is kept as its own token
+ */
+export function diffWords(before, after) {
+  const tokenize = text => text.match(/\s+|\S+/g) || [];
+  return diffSequences(tokenize(before), tokenize(after));
+}
+
+/**
+ * Compare two versions of a document section by section.
+ * Sections are { id, title, blocks: [text] } and are matched by id, so a
+ * renamed section still lines up with its previous wording.
+ * Returns one entry per section with status 'added', 'removed', 'changed'
+ * or 'unchanged' and the block-level diff in `changes`.
+ */
+export function diffSections(previous, next) {
+  const previousById = new Map(previous.map(section => [section.id, section]));
+  const nextIds = new Set(next.map(section => section.id));
+
+  const results = next.map(section => {
+    const earlier = previousById.get(section.id);
+    if (!earlier) {
+      return {
+        id: section.id,
+        title: section.title,
+        status: 'added',
+        changes: section.blocks.map(value => ({ type: 'insert', value }))
+      };
+    }
+
+    const changes = diffSequences(earlier.blocks, section.blocks);
+    const changed = earlier.title !== section.title || changes.some(change => change.type !== 'equal');
+
+    return {
+      id: section.id,
+      title: section.title,
+      previousTitle: earlier.title,
+      status: changed ? 'changed' : 'unchanged',
+      changes
+    };
+  });
+
+  previous.filter(section => !nextIds.has(section.id)).forEach(section => {
+    results.push({
+      id: section.id,
+      title: section.title,
+      status: 'removed',
+      changes: section.blocks.map(value => ({ type: 'delete', value }))
+    });
+  });
+
+  return results;
+}
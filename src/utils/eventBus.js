@@ -0,0 +1,189 @@
+/**
+ * Application event bus
+ *
+ * Every event the app emits is declared in APP_EVENTS below, with its payload
+ * type in AppEventMap. Events that used to be dispatched on window still are,
+ * under their old names, so existing listeners keep working. The event flow is
+ * logged at debug level under the 'events' namespace (?debug=events).
+ */
+import { createLogger } from './logger.js';
+
+const log = createLogger('events');
+
+/**
+ * @typedef {Object} AppReadyPayload
+ * @property {Object} app            The PortfolioApp instance
+ * @property {string[]} failed       Features that failed to start
+ */
+
+/**
+ * @typedef {Object} AppResizePayload
+ * @property {number} width
+ * @property {number} height
+ */
+
+/**
+ * @typedef {Object} ModuleErrorPayload
+ * @property {string} name           Feature name
+ * @property {'init'|'destroy'} phase
+ * @property {Error} error
+ */
+
+/**
+ * @typedef {Object} ThemeChangePayload
+ * @property {string} theme          Palette name now applied
+ * @property {string} preference     'system' or a palette name
+ * @property {boolean} forcedColors
+ * @property {'user'|'system'|'remote'} source
+ */
+
+/**
+ * @typedef {Object} LegalUpdatePayload
+ * @property {string} url            The legal document that changed
+ * @property {string} version        Version now published
+ * @property {string} previous       Version the cached copy had
+ */
+
+/**
+ * @typedef {Object} AppEventMap
+ * @property {AppReadyPayload} app:ready
+ * @property {AppResizePayload} app:resize
+ * @property {ModuleErrorPayload} module:error
+ * @property {ThemeChangePayload} theme:change
+ * @property {LegalUpdatePayload} legal:update
+ */
+
+/**
+ * Declared events, and the window event each is re-dispatched as (if any)
+ */
+export const APP_EVENTS = Object.freeze({
+  'app:ready': { windowEvent: 'app:ready' },
+  'app:resize': { windowEvent: 'app:resize' },
+  'module:error': {},
+  'theme:change': { windowEvent: 'themechange' },
+  'legal:update': {}
+});
+
+/**
+ * Does a subscription pattern match an event name?
+ * '*' matches everything and 'theme:*' everything in the theme namespace.
+ */
+function matches(pattern, type) {
+  if (pattern === '*' || pattern === type) return true;
+  return pattern.endsWith(':*') && type.startsWith(pattern.slice(0, -1));
+}
+
+export class EventBus {
+  /**
+   * @param {Object} [options]
+   * @param {EventTarget|null} [options.target]  Where compatibility events go (window by default)
+   */
+  constructor(options = {}) {
+    this.target = options.target === undefined ? window : options.target;
+    this.subscriptions = [];
+  }
+
+  /**
+   * Subscribe to an event, a namespace ('theme:*') or everything ('*').
+   * Pass { signal } to unsubscribe when it aborts. Returns an unsubscribe function.
+   *
+   * @template {keyof AppEventMap} K
+   * @param {K|'*'|string} pattern
+   * @param {(payload: AppEventMap[K], type: K) => void} handler
+   * @param {{ once?: boolean, signal?: AbortSignal }} [options]
+   * @returns {() => void}
+   */
+  on(pattern, handler, options = {}) {
+    this.assertKnown(pattern);
+
+    const subscription = { pattern, handler, once: !!options.once };
+    const unsubscribe = () => this.remove(subscription);
+
+    if (options.signal) {
+      if (options.signal.aborted) return unsubscribe;
+      options.signal.addEventListener('abort', unsubscribe, { once: true });
+    }
+
+    this.subscriptions.push(subscription);
+    log.debug(`👂 on ${pattern}`);
+    return unsubscribe;
+  }
+
+  /**
+   * Subscribe for a single emit. Without a handler, returns a promise for the payload.
+   *
+   * @template {keyof AppEventMap} K
+   * @param {K|'*'|string} pattern
+   * @param {(payload: AppEventMap[K], type: K) => void} [handler]
+   * @param {{ signal?: AbortSignal }} [options]
+   */
+  once(pattern, handler, options = {}) {
+    if (!handler) {
+      return new Promise(resolve => this.on(pattern, resolve, { ...options, once: true }));
+    }
+    return this.on(pattern, handler, { ...options, once: true });
+  }
+
+  /**
+   * Remove a handler from a pattern it was subscribed with
+   */
+  off(pattern, handler) {
+    this.subscriptions
+      .filter(subscription => subscription.pattern === pattern && subscription.handler === handler)
+      .forEach(subscription => this.remove(subscription));
+  }
+
+  /**
+   * Call every matching handler, then re-dispatch on window if the event has a legacy name.
+   * A handler that throws is reported and doesn't stop the others.
+   *
+   * @template {keyof AppEventMap} K
+   * @param {K} type
+   * @param {AppEventMap[K]} payload
+   */
+  emit(type, payload) {
+    if (!APP_EVENTS[type]) {
+      throw new Error(`Undeclared event "${type}" - add it to APP_EVENTS in src/utils/eventBus.js`);
+    }
+
+    const handlers = this.subscriptions.filter(subscription => matches(subscription.pattern, type));
+    log.debug(`📣 ${type} → ${handlers.length} handler(s)`, payload);
+
+    handlers.forEach(subscription => {
+      if (subscription.once) this.remove(subscription);
+
+      try {
+        subscription.handler(payload, type);
+      } catch (error) {
+        log.error(`❌ "${type}" handler failed:`, error);
+      }
+    });
+
+    const { windowEvent } = APP_EVENTS[type];
+    if (windowEvent && this.target) {
+      this.target.dispatchEvent(new CustomEvent(windowEvent, { detail: payload }));
+    }
+  }
+
+  /**
+   * Drop every subscription
+   */
+  clear() {
+    this.subscriptions = [];
+  }
+
+  remove(subscription) {
+    const index = this.subscriptions.indexOf(subscription);
+    if (index !== -1) {
+      this.subscriptions.splice(index, 1);
+      log.debug(`🔕 off ${subscription.pattern}`);
+    }
+  }
+
+  assertKnown(pattern) {
+    const known = Object.keys(APP_EVENTS).some(type => matches(pattern, type));
+    if (!known) {
+      log.warn(`Subscribing to "${pattern}", which matches no declared event`);
+    }
+  }
+}
@@ -1,11 +1,18 @@
 /**
  * Link handling utilities
  */
+import { track } from './analytics.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('links');
 
 /**
- * Handle external links with error handling and analytics
+ * Secure external links and count clicks by kind.
+ * Pass { signal } to remove the click listeners when it aborts.
  */
-export function handleExternalLinks() {
+export function handleExternalLinks(options = {}) {
+  const listenerOptions = { signal: options.signal };
+
   document.querySelectorAll('a[target="_blank"]').forEach(link => {
     // Add security attributes
     if (!link.rel.includes('noopener')) {
@@ -15,15 +22,10 @@ export function handleExternalLinks() {
       link.rel = link.rel ? `${link.rel} noreferrer` : 'noreferrer';
     }
 
-    // Add error handling
-    link.addEventListener('error', () => {
-      console.warn('External link may be unavailable:', link.href);
-    });
-
     // Add click tracking
     link.addEventListener('click', (e) => {
       trackLinkClick(link.href, 'external');
-    });
+    }, listenerOptions);
   });
 
   // Handle internal navigation links
@@ -31,38 +33,118 @@ export function handleExternalLinks() {
     link.addEventListener('click', (e) => {
       const target = link.getAttribute('href').substring(1);
       trackLinkClick(`#${target}`, 'internal');
-    });
+    }, listenerOptions);
   });
 
   // Handle email links
   document.querySelectorAll('a[href^="mailto:"]').forEach(link => {
     link.addEventListener('click', (e) => {
       trackLinkClick(link.href, 'email');
-    });
+    }, listenerOptions);
   });
 }
 
 /**
- * Track link clicks for analytics
+ * Count link clicks by kind; the URL itself never leaves the page
  */
 function trackLinkClick(url, type) {
-  console.log(`🔗 Link clicked: ${url} (${type})`);
-
-  // Send to Google Analytics if available
-  if (window.gtag) {
-    window.gtag('event', 'click', {
-      event_category: 'Link',
-      event_label: url,
-      link_type: type
-    });
+  log.debug(`🔗 Link clicked: ${url} (${type})`);
+  track('link_click', { type });
+}
+
+// Header fields a mailto: URL may carry (RFC 6068)
+const MAILTO_HEADERS = ['to', 'cc', 'bcc', 'subject', 'body', 'in-reply-to'];
+
+// Mail clients truncate or refuse longer mailto: URLs
+export const MAX_MAILTO_LENGTH = 2000;
+
+const EMAIL_PATTERN = /^[^\s@<>()[\],;:"]+@[^\s@<>()[\],;:"]+\.[^\s@<>()[\],;:".]+$/;
+
+/**
+ * Build a mailto: URL with percent-encoded header fields.
+ * Spaces become %20 rather than "+", which mail clients show literally.
+ */
+export function buildMailtoUrl(recipient, fields = {}) {
+  const query = Object.entries(fields)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    // Line breaks in a mailto: body must be CRLF
+    .map(([name, value]) => `${name}=${encodeURIComponent(String(value).replace(/\r?\n/g, '\r\n'))}`)
+    .join('&');
+
+  return `mailto:${recipient}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Check a mailto: URL's recipients, header names, encoding and length
+ */
+function validateMailto(url) {
+  if (url.length > MAX_MAILTO_LENGTH) {
+    log.warn(`mailto: URL is ${url.length} characters; mail clients may truncate past ${MAX_MAILTO_LENGTH}`);
+    return false;
   }
 
-  // Send to other analytics platforms
-  if (window.analytics) {
-    window.analytics.track('Link Clicked', {
-      url: url,
-      type: type
-    });
+  // Whitespace, quotes and angle brackets must be percent-encoded
+  if (/[\s<>"]/.test(url)) {
+    log.warn('mailto: URL contains unencoded characters:', url);
+    return false;
+  }
+
+  const [address, query = ''] = url.slice('mailto:'.length).split('?');
+  const recipients = [];
+
+  try {
+    recipients.push(...decodeURIComponent(address).split(',').filter(Boolean));
+
+    for (const pair of query.split('&').filter(Boolean)) {
+      const [name, value = ''] = pair.split('=');
+      const header = decodeURIComponent(name).toLowerCase();
+
+      if (!MAILTO_HEADERS.includes(header)) {
+        log.warn('Unknown mailto: header:', header);
+        return false;
+      }
+
+      const decoded = decodeURIComponent(value);
+      if (['to', 'cc', 'bcc'].includes(header)) {
+        recipients.push(...decoded.split(',').filter(Boolean));
+      }
+    }
+  } catch (error) {
+    log.warn('Malformed percent-encoding in mailto: URL:', url);
+    return false;
+  }
+
+  const invalid = recipients.map(recipient => recipient.trim()).filter(recipient => !EMAIL_PATTERN.test(recipient));
+  if (recipients.length === 0 || invalid.length > 0) {
+    log.warn('Invalid mailto: recipient:', invalid.join(', ') || '(none)');
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Classify an href as written in the markup:
+ * 'fragment' (#id), 'internal' (relative or root-relative path), 'email',
+ * 'phone', 'external' (http/https) or 'other' (any other scheme)
+ */
+export function classifyLink(href) {
+  const value = href.trim();
+  if (value.startsWith('#')) return 'fragment';
+
+  const scheme = value.match(/^([a-z][a-z0-9+.-]*):/i);
+  if (!scheme) return 'internal';
+
+  switch (scheme[1].toLowerCase()) {
+    case 'mailto':
+      return 'email';
+    case 'tel':
+      return 'phone';
+    case 'http':
+    case 'https':
+      return 'external';
+    default:
+      return 'other';
   }
 }
 
@@ -76,13 +158,17 @@ export function validateUrl(url) {
     // Check for allowed protocols
     const allowedProtocols = ['http:', 'https:', 'mailto:', 'tel:'];
     if (!allowedProtocols.includes(urlObj.protocol)) {
-      console.warn('Potentially unsafe URL protocol:', urlObj.protocol);
+      log.warn('Potentially unsafe URL protocol:', urlObj.protocol);
       return false;
     }
 
+    if (urlObj.protocol === 'mailto:') {
+      return validateMailto(String(url));
+    }
+
     return true;
   } catch (error) {
-    console.error('Invalid URL:', url);
+    log.error('Invalid URL:', url);
     return false;
   }
 }
@@ -133,26 +219,6 @@ export function preloadLinksOnHover() {
   });
 }
 
-/**
- * Handle broken links gracefully
- */
-export function handleBrokenLinks() {
-  document.querySelectorAll('a[href]').forEach(link => {
-    link.addEventListener('error', (e) => {
-      console.error('Broken link detected:', link.href);
-
-      // Add visual indicator
-      link.classList.add('broken-link');
-      link.setAttribute('aria-label', `${link.textContent} (link may be broken)`);
-
-      // Optionally report to error tracking service
-      if (window.Sentry) {
-        window.Sentry.captureMessage(`Broken link: ${link.href}`);
-      }
-    });
-  });
-}
-
 /**
  * Add download attributes for file links
  */
@@ -0,0 +1,232 @@
+/**
+ * Logging facade for everything in src/
+ *
+ * Modules log through a namespaced logger instead of the console:
+ *
+ *   const log = createLogger('theme');
+ *   log.info('🎨 Theme changed');
+ *
+ * Each record goes to every sink that accepts it. The console sink is
+ * silent on the published site and shows info and up on localhost; either
+ * can be changed per visitor without a rebuild:
+ *
+ *   ?debug=theme,events     everything from those namespaces ('*' for all)
+ *   ?log-level=warn         minimum level for the rest
+ *
+ * The same settings are read from localStorage ('debug', 'log-level'), so
+ * they survive navigation.
+ */
+
+export const LOG_LEVELS = Object.freeze({
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: Infinity
+});
+
+const CONSOLE_METHODS = { debug: 'debug', info: 'log', warn: 'warn', error: 'error' };
+const DEVELOPMENT_HOSTS = new Set(['localhost', '127.0.0.1', '[::1]', '']);
+
+const sinks = new Set();
+
+/**
+ * A query parameter wins over the stored flag. `?debug` on its own means '*'.
+ */
+function readFlag(name) {
+  if (typeof window === 'undefined') return null;
+
+  const params = new URLSearchParams(window.location.search);
+  if (params.has(name)) return params.get(name) || '*';
+
+  try {
+    return window.localStorage.getItem(name);
+  } catch (error) {
+    return null;
+  }
+}
+
+function isProduction() {
+  // Build scripts import src/ too; they report through their own output
+  if (typeof window === 'undefined') return true;
+
+  return window.location.protocol !== 'file:' && !DEVELOPMENT_HOSTS.has(window.location.hostname);
+}
+
+function parseNamespaces(value) {
+  return (value || '').split(/[\s,]+/).filter(Boolean);
+}
+
+function namespaceMatches(patterns, namespace) {
+  return patterns.some(pattern => pattern === '*'
+    || pattern === namespace
+    || (pattern.endsWith('*') && namespace.startsWith(pattern.slice(0, -1))));
+}
+
+function normalizeLevel(level, fallback) {
+  return Object.prototype.hasOwnProperty.call(LOG_LEVELS, level) ? level : fallback;
+}
+
+/**
+ * Does a sink want this record? Namespaces listed in `debug` pass at any level.
+ */
+function accepts(sink, record) {
+  return LOG_LEVELS[record.level] >= LOG_LEVELS[sink.level]
+    || namespaceMatches(sink.debug, record.namespace);
+}
+
+/**
+ * Errors and DOM nodes don't survive JSON.stringify; everything else mostly does
+ */
+function serialize(value) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, stack: value.stack };
+  }
+  if (typeof Element !== 'undefined' && value instanceof Element) {
+    return `<${value.tagName.toLowerCase()}${value.id ? `#${value.id}` : ''}>`;
+  }
+  if (value === null || typeof value !== 'object') return value;
+
+  try {
+    return JSON.parse(JSON.stringify(value));
+  } catch (error) {
+    return String(value);
+  }
+}
+
+/**
+ * Register a sink. A sink is { write(record), level, debug }; records are
+ * { time, level, namespace, args }. Returns a function that removes it.
+ */
+export function addSink(sink) {
+  const entry = {
+    ...sink,
+    level: normalizeLevel(sink.level, 'debug'),
+    debug: sink.debug || []
+  };
+
+  sinks.add(entry);
+  return () => sinks.delete(entry);
+}
+
+/**
+ * Writes to the browser console, prefixing each message with its namespace
+ */
+export function createConsoleSink(options = {}) {
+  return {
+    level: options.level,
+    debug: options.debug,
+    write({ level, namespace, args }) {
+      const [first, ...rest] = args;
+      const method = console[CONSOLE_METHODS[level]];
+
+      if (typeof first === 'string') {
+        method(`[${namespace}] ${first}`, ...rest);
+      } else {
+        method(`[${namespace}]`, ...args);
+      }
+    }
+  };
+}
+
+/**
+ * Keeps the last `size` records in memory, e.g. to attach to a bug report
+ */
+export function createMemorySink(options = {}) {
+  const size = options.size || 200;
+  const buffer = [];
+
+  return {
+    level: options.level,
+    debug: options.debug,
+    write(record) {
+      buffer.push(record);
+      if (buffer.length > size) buffer.shift();
+    },
+    records() {
+      return buffer.slice();
+    },
+    clear() {
+      buffer.length = 0;
+    }
+  };
+}
+
+/**
+ * Queues records and posts them with navigator.sendBeacon when the page is
+ * hidden or unloaded. Only errors are sent unless `level` says otherwise.
+ */
+export function createBeaconSink(options = {}) {
+  const queue = [];
+  const maxBatch = options.maxBatch || 20;
+
+  const flush = () => {
+    if (queue.length === 0 || !navigator.sendBeacon) return;
+
+    const batch = queue.splice(0, queue.length);
+    navigator.sendBeacon(options.url, JSON.stringify({ page: window.location.pathname, records: batch }));
+  };
+
+  const listenerOptions = { signal: options.signal };
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') flush();
+  }, listenerOptions);
+  window.addEventListener('pagehide', flush, listenerOptions);
+
+  return {
+    level: options.level || 'error',
+    debug: options.debug,
+    write(record) {
+      queue.push({ ...record, args: record.args.map(serialize) });
+      if (queue.length >= maxBatch) flush();
+    },
+    flush
+  };
+}
+
+// Visitors get a console sink configured from the environment and their flags
+const consoleSink = createConsoleSink({
+  level: normalizeLevel(readFlag('log-level'), isProduction() ? 'silent' : 'info'),
+  debug: parseNamespaces(readFlag('debug'))
+});
+let removeConsoleSink = addSink(consoleSink);
+
+/**
+ * Reconfigure (or, with `enabled: false`, remove) the default console sink
+ */
+export function configureConsole(options = {}) {
+  removeConsoleSink();
+  if (options.enabled === false) return;
+
+  if (options.level !== undefined) consoleSink.level = options.level;
+  if (options.debug !== undefined) consoleSink.debug = parseNamespaces(options.debug);
+  removeConsoleSink = addSink(consoleSink);
+}
+
+function write(namespace, level, args) {
+  if (sinks.size === 0) return;
+
+  const record = { time: Date.now(), level, namespace, args };
+  sinks.forEach(sink => {
+    if (!accepts(sink, record)) return;
+
+    try {
+      sink.write(record);
+    } catch (error) {
+      // A broken sink mustn't take the caller down with it
+    }
+  });
+}
+
+/**
+ * A logger for one module or utility
+ */
+export function createLogger(namespace) {
+  return Object.freeze({
+    namespace,
+    debug: (...args) => write(namespace, 'debug', args),
+    info: (...args) => write(namespace, 'info', args),
+    warn: (...args) => write(namespace, 'warn', args),
+    error: (...args) => write(namespace, 'error', args)
+  });
+}
@@ -1,119 +1,294 @@
 /**
  * Performance monitoring and optimization utilities
+ *
+ * initPerformanceMonitoring() measures the Core Web Vitals of real visits
+ * (LCP, INP, CLS, FCP, TTFB, as web.dev defines them) and reports the final
+ * values once, when the page is first hidden or unloaded. With analytics
+ * consent (see analytics.js) they're sent with navigator.sendBeacon to the
+ * URL in <meta name="vitals-endpoint">:
+ *
+ *   {
+ *     "schema": 1,
+ *     "path": "/sonora/support.html",
+ *     "theme": "dark",
+ *     "navigationType": "navigate",
+ *     "metrics": { "LCP": 1180, "INP": 96, "CLS": 0.02, "FCP": 640, "TTFB": 120 }
+ *   }
+ *
+ * Times are milliseconds; metrics the browser can't measure are left out.
+ * scripts/vitals-collector.js collects these locally.
  */
+import { durationBucket, getConsent, track } from './analytics.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('performance');
+
+export const VITALS_SCHEMA_VERSION = 1;
 
 /**
- * Initialize performance monitoring
+ * [good, poor]: up to the first is good, above the second is poor
  */
-export function initPerformanceMonitoring() {
-  // Monitor page load performance
-  window.addEventListener('load', () => {
-    measurePageLoadTime();
-    measureResourceTiming();
-  });
+export const VITALS_THRESHOLDS = Object.freeze({
+  LCP: [2500, 4000],
+  INP: [200, 500],
+  CLS: [0.1, 0.25],
+  FCP: [1800, 3000],
+  TTFB: [800, 1800]
+});
+
+// CLS is the worst burst of shifts: a session window closes after a 1s gap or at 5s
+const CLS_SESSION_GAP = 1000;
+const CLS_SESSION_MAX = 5000;
+
+// INP skips one outlier per 50 interactions. Keeping the longest 10 covers
+// pages with up to 500 interactions, as web-vitals does.
+const INP_OUTLIER_STEP = 50;
+const INP_CANDIDATES = 10;
+const INP_DURATION_THRESHOLD = 40;
+
+export function rateMetric(name, value) {
+  const [good, poor] = VITALS_THRESHOLDS[name];
+  if (value <= good) return 'good';
+  return value <= poor ? 'needs-improvement' : 'poor';
+}
 
-  // Monitor largest contentful paint
-  if ('PerformanceObserver' in window) {
-    observeLCP();
-    observeFID();
-    observeCLS();
-  }
+function getNavigationEntry() {
+  if (typeof performance === 'undefined' || !performance.getEntriesByType) return null;
+  return performance.getEntriesByType('navigation')[0] || null;
 }
 
 /**
- * Measure and log page load time
+ * Observe an entry type, buffered entries included. Returns null when the
+ * browser doesn't support it.
  */
-function measurePageLoadTime() {
-  if ('performance' in window) {
-    const perfData = performance.timing;
-    const loadTime = perfData.loadEventEnd - perfData.navigationStart;
-    const domReady = perfData.domContentLoadedEventEnd - perfData.navigationStart;
-
-    console.log(`⚡ Page loaded in ${loadTime}ms (DOM ready: ${domReady}ms)`);
-
-    // Send to analytics if available
-    if (window.gtag) {
-      window.gtag('event', 'timing_complete', {
-        name: 'load',
-        value: loadTime
-      });
-    }
+function observe(type, callback, options = {}) {
+  const supported = typeof PerformanceObserver !== 'undefined'
+    && (PerformanceObserver.supportedEntryTypes || []).includes(type);
+  if (!supported) return null;
+
+  try {
+    const observer = new PerformanceObserver(list => callback(list.getEntries()));
+    observer.observe({ type, buffered: true, ...options });
+    return { observer, callback };
+  } catch (error) {
+    return null;
   }
 }
 
 /**
- * Monitor resource loading performance
+ * Initialize performance monitoring
  */
-function measureResourceTiming() {
-  if (!performance.getEntriesByType) return;
+export function initPerformanceMonitoring(options = {}) {
+  const meta = document.querySelector('meta[name="vitals-endpoint"]');
+  const endpoint = options.endpoint || (meta && meta.content) || null;
+  const listenerOptions = { signal: options.signal };
 
-  const resources = performance.getEntriesByType('resource');
-  const slowResources = resources.filter(resource => resource.duration > 1000);
+  window.addEventListener('load', () => {
+    // loadEventEnd is only set once the load handlers have returned
+    setTimeout(() => {
+      measurePageLoadTime();
+      measureResourceTiming();
+    }, 0);
+  }, listenerOptions);
+
+  const vitals = trackWebVitals();
+  let reported = false;
+
+  const report = () => {
+    if (reported) return;
+    reported = true;
+    reportWebVitals(vitals.finalize(), endpoint);
+  };
 
-  if (slowResources.length > 0) {
-    console.warn('🐌 Slow loading resources detected:', slowResources);
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') report();
+  }, listenerOptions);
+  window.addEventListener('pagehide', report, listenerOptions);
+
+  // The app tears down on pagehide, possibly before the listener above runs
+  if (options.signal) {
+    options.signal.addEventListener('abort', () => {
+      report();
+      vitals.disconnect();
+    }, { once: true });
   }
 }
 
 /**
- * Observe Largest Contentful Paint (LCP)
+ * INP from the longest interaction latencies: the 98th percentile of all
+ * `interactionCount` interactions, skipping one outlier per 50
  */
-function observeLCP() {
-  const observer = new PerformanceObserver((list) => {
-    const entries = list.getEntries();
-    const lastEntry = entries[entries.length - 1];
-
-    console.log(`🖼️ LCP: ${lastEntry.startTime.toFixed(2)}ms`);
+export function selectInp(latencies, interactionCount) {
+  const longest = [...latencies].sort((a, b) => b - a);
+  return longest[Math.min(longest.length - 1, Math.floor(interactionCount / INP_OUTLIER_STEP))];
+}
 
-    if (lastEntry.startTime > 2500) {
-      console.warn('⚠️ LCP is slower than recommended (>2.5s)');
+/**
+ * Collect LCP, INP, CLS, FCP and TTFB until finalize() is called
+ */
+function trackWebVitals() {
+  const navigation = getNavigationEntry();
+  const activationStart = navigation ? navigation.activationStart || 0 : 0;
+  const fromActivation = time => Math.max(time - activationStart, 0);
+  const metrics = {};
+  const observed = [];
+
+  // Paints after the page was first hidden don't reflect what the visitor saw
+  let firstHiddenTime = document.visibilityState === 'hidden' ? 0 : Infinity;
+  const onHidden = (event) => {
+    if (document.visibilityState === 'hidden') {
+      firstHiddenTime = Math.min(firstHiddenTime, event.timeStamp);
     }
+  };
+  document.addEventListener('visibilitychange', onHidden, true);
+
+  if (navigation && navigation.responseStart > 0) {
+    metrics.TTFB = fromActivation(navigation.responseStart);
+  }
+
+  observed.push(observe('paint', entries => {
+    entries.forEach(entry => {
+      if (entry.name === 'first-contentful-paint' && entry.startTime < firstHiddenTime) {
+        metrics.FCP = fromActivation(entry.startTime);
+      }
+    });
+  }));
+
+  // LCP stops changing at the first input
+  let lcpFinal = false;
+  const lcp = observe('largest-contentful-paint', entries => {
+    if (lcpFinal) return;
+    entries.forEach(entry => {
+      if (entry.startTime < firstHiddenTime) metrics.LCP = fromActivation(entry.startTime);
+    });
+  });
+  observed.push(lcp);
+
+  const stopLcp = () => {
+    if (lcp) lcp.callback(lcp.observer.takeRecords());
+    lcpFinal = true;
+  };
+  ['keydown', 'click'].forEach(type => window.addEventListener(type, stopLcp, { once: true, capture: true }));
+
+  let session = { value: 0, first: 0, last: 0 };
+  const cls = observe('layout-shift', entries => {
+    entries.forEach(entry => {
+      if (entry.hadRecentInput) return;
+
+      const continues = session.value > 0
+        && entry.startTime - session.last < CLS_SESSION_GAP
+        && entry.startTime - session.first < CLS_SESSION_MAX;
+      session = continues
+        ? { ...session, value: session.value + entry.value, last: entry.startTime }
+        : { value: entry.value, first: entry.startTime, last: entry.startTime };
+
+      metrics.CLS = Math.max(metrics.CLS || 0, session.value);
+    });
   });
+  if (cls) metrics.CLS = 0;
+  observed.push(cls);
+
+  // Longest latency per interaction, keeping only the longest few, and how
+  // many interactions there were for browsers without interactionCount
+  const interactions = new Map();
+  const seen = new Set();
+  const recordInteractions = entries => {
+    entries.forEach(entry => {
+      if (!entry.interactionId) return;
+
+      seen.add(entry.interactionId);
+      interactions.set(entry.interactionId, Math.max(interactions.get(entry.interactionId) || 0, entry.duration));
+      if (interactions.size > INP_CANDIDATES) {
+        const [shortest] = [...interactions].sort((a, b) => a[1] - b[1])[0];
+        interactions.delete(shortest);
+      }
+    });
+  };
+  observed.push(observe('event', recordInteractions, { durationThreshold: INP_DURATION_THRESHOLD }));
+  observed.push(observe('first-input', recordInteractions));
+
+  const disconnect = () => {
+    observed.filter(Boolean).forEach(({ observer }) => observer.disconnect());
+    document.removeEventListener('visibilitychange', onHidden, true);
+  };
 
-  observer.observe({ entryTypes: ['largest-contentful-paint'] });
+  return {
+    disconnect,
+    finalize() {
+      // Entries the observers haven't delivered yet still count
+      observed.filter(Boolean).forEach(({ observer, callback }) => callback(observer.takeRecords()));
+
+      if (interactions.size > 0) {
+        // Interactions under the duration threshold never reach the observer,
+        // so the fallback count can run low and skip fewer outliers
+        metrics.INP = selectInp([...interactions.values()], performance.interactionCount || seen.size);
+      }
+
+      return {
+        metrics: { ...metrics },
+        navigationType: navigation ? navigation.type : 'navigate'
+      };
+    }
+  };
 }
 
 /**
- * Observe First Input Delay (FID)
+ * Log the final values and, with consent and an endpoint, send them
  */
-function observeFID() {
-  const observer = new PerformanceObserver((list) => {
-    const entries = list.getEntries();
-    entries.forEach((entry) => {
-      console.log(`⌨️ FID: ${entry.processingStart - entry.startTime}ms`);
-
-      if (entry.processingStart - entry.startTime > 100) {
-        console.warn('⚠️ FID is slower than recommended (>100ms)');
-      }
-    });
+function reportWebVitals({ metrics, navigationType }, endpoint) {
+  Object.entries(metrics).forEach(([name, value]) => {
+    const rating = rateMetric(name, value);
+    const shown = name === 'CLS' ? value.toFixed(4) : `${Math.round(value)}ms`;
+    const message = `${name}: ${shown} (${rating})`;
+
+    if (rating === 'good') {
+      log.info(`📈 ${message}`);
+    } else {
+      log.warn(`⚠️ ${message}`);
+    }
   });
 
-  observer.observe({ entryTypes: ['first-input'] });
+  if (!endpoint || getConsent() !== 'granted' || !navigator.sendBeacon) return;
+  if (Object.keys(metrics).length === 0) return;
+
+  navigator.sendBeacon(endpoint, JSON.stringify({
+    schema: VITALS_SCHEMA_VERSION,
+    path: window.location.pathname,
+    theme: document.documentElement.getAttribute('data-theme') || 'light',
+    navigationType,
+    metrics: Object.fromEntries(Object.entries(metrics).map(([name, value]) => [
+      name,
+      name === 'CLS' ? Number(value.toFixed(4)) : Math.round(value)
+    ]))
+  }));
 }
 
 /**
- * Observe Cumulative Layout Shift (CLS)
+ * Measure and log page load time
  */
-function observeCLS() {
-  let clsValue = 0;
+function measurePageLoadTime() {
+  const navigation = getNavigationEntry();
+  if (!navigation || navigation.loadEventEnd <= 0) return;
 
-  const observer = new PerformanceObserver((list) => {
-    const entries = list.getEntries();
+  const loadTime = Math.round(navigation.loadEventEnd);
+  const domReady = Math.round(navigation.domContentLoadedEventEnd);
 
-    entries.forEach((entry) => {
-      if (!entry.hadRecentInput) {
-        clsValue += entry.value;
-      }
-    });
+  log.info(`⚡ Page loaded in ${loadTime}ms (DOM ready: ${domReady}ms)`);
+  track('page_load', { duration: durationBucket(loadTime) });
+}
 
-    console.log(`📏 CLS: ${clsValue.toFixed(4)}`);
+/**
+ * Monitor resource loading performance
+ */
+function measureResourceTiming() {
+  if (!performance.getEntriesByType) return;
 
-    if (clsValue > 0.1) {
-      console.warn('⚠️ CLS is higher than recommended (>0.1)');
-    }
-  });
+  const resources = performance.getEntriesByType('resource');
+  const slowResources = resources.filter(resource => resource.duration > 1000);
 
-  observer.observe({ entryTypes: ['layout-shift'] });
+  if (slowResources.length > 0) {
+    log.warn('🐌 Slow loading resources detected:', slowResources);
+  }
 }
 
 /**
@@ -148,41 +323,52 @@ export function throttle(func, limit) {
 }
 
 /**
- * Lazy loading utility for images
+ * Lazy loading for images, including the <picture> markup that
+ * scripts/build-images.js generates: data-srcset on each <source>, data-src
+ * and data-srcset on the <img>. Registered as the `images` feature; usable
+ * on its own as new LazyLoader().init().
  */
 export class LazyLoader {
   constructor(options = {}) {
+    const { app, signal, events, ...observerOptions } = options;
+
+    this.signal = signal;
     this.options = {
-      rootMargin: '50px',
-      threshold: 0.1,
-      ...options
+      rootMargin: '200px',
+      threshold: 0,
+      ...observerOptions
     };
 
+    this.images = Array.from(document.querySelectorAll('img[data-src], img[data-srcset]'));
+    this.nativeLazy = 'loading' in HTMLImageElement.prototype;
     this.observer = null;
-    this.init();
   }
 
   init() {
+    this.images.forEach(image => {
+      const picture = this.getPicture(image);
+      if (picture) picture.classList.add('lazy-pending');
+
+      image.addEventListener('load', () => this.handleLoad(image), { signal: this.signal });
+      image.addEventListener('error', () => this.handleError(image), { signal: this.signal });
+    });
+
+    // Images marked loading="lazy" are deferred by the browser itself where it can
+    const deferred = this.images.filter(image => !(this.nativeLazy && image.loading === 'lazy'));
+    this.images.filter(image => !deferred.includes(image)).forEach(image => this.loadElement(image));
+
     if ('IntersectionObserver' in window) {
       this.observer = new IntersectionObserver(
         this.handleIntersection.bind(this),
         this.options
       );
-
-      this.loadElements();
+      deferred.forEach(image => this.observer.observe(image));
     } else {
       // Fallback for browsers without IntersectionObserver
-      this.loadAllImages();
+      deferred.forEach(image => this.loadElement(image));
     }
   }
 
-  loadElements() {
-    const lazyElements = document.querySelectorAll('[data-src], [data-srcset]');
-    lazyElements.forEach(element => {
-      this.observer.observe(element);
-    });
-  }
-
   handleIntersection(entries) {
     entries.forEach(entry => {
       if (entry.isIntersecting) {
@@ -192,28 +378,84 @@ export class LazyLoader {
     });
   }
 
-  loadElement(element) {
-    const src = element.dataset.src;
-    const srcset = element.dataset.srcset;
+  getPicture(image) {
+    const parent = image.parentElement;
+    return parent && parent.tagName === 'PICTURE' ? parent : null;
+  }
+
+  /**
+   * Swap in the real sources: the <picture>'s <source>s first, so the
+   * browser picks its candidate once, then the <img>
+   */
+  loadElement(image) {
+    const picture = this.getPicture(image);
+    if (picture) {
+      picture.querySelectorAll('source[data-srcset]').forEach(source => {
+        source.srcset = source.dataset.srcset;
+        source.removeAttribute('data-srcset');
+      });
+    }
+
+    if (image.dataset.srcset) {
+      image.srcset = image.dataset.srcset;
+      image.removeAttribute('data-srcset');
+    }
+
+    if (image.dataset.src) {
+      image.src = image.dataset.src;
+      image.removeAttribute('data-src');
+    }
+  }
 
-    if (src) {
-      element.src = src;
-      element.removeAttribute('data-src');
+  /**
+   * Fade the image in over its placeholder, then drop the placeholder
+   */
+  handleLoad(image) {
+    image.classList.add('loaded');
+
+    const picture = this.getPicture(image);
+    if (picture) {
+      picture.classList.remove('lazy-pending');
+      picture.classList.add('loaded');
+      image.addEventListener('transitionend', () => {
+        picture.style.backgroundImage = '';
+      }, { once: true, signal: this.signal });
     }
+  }
 
-    if (srcset) {
-      element.srcset = srcset;
-      element.removeAttribute('data-srcset');
+  /**
+   * A format or size that fails gets one retry with the plain JPEG; after
+   * that the placeholder stays and the alt text shows
+   */
+  handleError(image) {
+    const picture = this.getPicture(image);
+    const fallback = image.dataset.fallback;
+
+    if (fallback && !image.dataset.fallbackTried) {
+      image.dataset.fallbackTried = 'true';
+      if (picture) picture.querySelectorAll('source').forEach(source => source.remove());
+      image.removeAttribute('srcset');
+      image.src = fallback;
+      return;
     }
 
-    element.classList.add('loaded');
+    log.warn('🖼️ Image failed to load:', image.currentSrc || image.src);
+    image.classList.add('image-error');
+    if (picture) {
+      picture.classList.remove('lazy-pending');
+      picture.classList.add('image-error');
+    }
   }
 
   loadAllImages() {
-    const lazyElements = document.querySelectorAll('[data-src], [data-srcset]');
-    lazyElements.forEach(element => {
-      this.loadElement(element);
-    });
+    this.images.forEach(image => this.loadElement(image));
+  }
+
+  destroy() {
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
   }
 }
 
@@ -235,7 +477,7 @@ export function prefetchResource(url, type = 'prefetch') {
  */
 export function monitorMemoryUsage() {
   if (!performance.memory) {
-    console.log('Memory monitoring not supported');
+    log.debug('Memory monitoring not supported');
     return;
   }
 
@@ -245,7 +487,7 @@ export function monitorMemoryUsage() {
 
   const logMemoryUsage = () => {
     const memory = performance.memory;
-    console.log(`💾 Memory Usage:
+    log.info(`💾 Memory Usage:
       Used: ${formatBytes(memory.usedJSHeapSize)}
       Total: ${formatBytes(memory.totalJSHeapSize)}
       Limit: ${formatBytes(memory.jsHeapSizeLimit)}`);
@@ -0,0 +1,160 @@
+/**
+ * Text search utilities - tokenizing, light stemming and fuzzy term matching
+ */
+
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:['’][\p{L}]+)*/gu;
+
+// Words too common to narrow a search down
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'at', 'be', 'can', 'do', 'does', 'for', 'how', 'i',
+  'in', 'is', 'it', 'my', 'of', 'on', 'or', 'the', 'to', 'what', 'why', 'with'
+]);
+
+// Checked in order; the first rule that leaves a stem of 3+ letters wins
+const SUFFIX_RULES = [
+  [/ations?$/, 'ate'],
+  [/ings?$/, ''],
+  [/ie[sd]$/, 'y'],
+  [/([^e])edly$/, '$1'],
+  [/([^e])ed$/, '$1'],
+  [/ers?$/, ''],
+  [/ments?$/, ''],
+  [/ness$/, ''],
+  [/ly$/, ''],
+  [/(ss|x|ch|sh|z)es$/, '$1'],
+  [/([^su])s$/, '$1']
+];
+
+/**
+ * Reduce a word to a rough stem so "recording", "recorded" and "records"
+ * all match "record"
+ */
+export function stem(word) {
+  const lower = word.toLowerCase().replace(/['’]s$/, '');
+
+  for (const [pattern, replacement] of SUFFIX_RULES) {
+    if (!pattern.test(lower)) continue;
+
+    let result = lower.replace(pattern, replacement);
+    if (result.length < 3) continue;
+
+    // "stopped" -> "stopp" -> "stop"
+    if (result.length < lower.length && /([^aeiouls])\1$/.test(result)) {
+      result = result.slice(0, -1);
+    }
+    return result;
+  }
+
+  return lower;
+}
+
+/**
+ * Split text into lower-case words
+ */
+export function tokenize(text) {
+  return (text.match(WORD_PATTERN) || []).map(word => word.toLowerCase());
+}
+
+/**
+ * Stems of the meaningful words in a search query
+ */
+export function getQueryTerms(query) {
+  const words = tokenize(query);
+  const meaningful = words.filter(word => !STOP_WORDS.has(word));
+
+  // A query made only of stop words still searches for them
+  return Array.from(new Set((meaningful.length ? meaningful : words).map(stem)));
+}
+
+/**
+ * Edit distance between two strings, giving up once it exceeds `max`
+ */
+export function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Typos tolerated for a term of the given length
+ */
+function allowedTypos(length) {
+  if (length >= 8) return 2;
+  if (length >= 5) return 1;
+  return 0;
+}
+
+/**
+ * Whether a stemmed query term matches a stemmed word. Terms of three or more
+ * letters also match as a prefix, so results narrow while the visitor types.
+ */
+export function matchesTerm(term, word) {
+  if (term === word) return true;
+  if (term.length >= 3 && word.startsWith(term)) return true;
+
+  const typos = allowedTypos(term.length);
+  return typos > 0 && editDistance(term, word, typos) <= typos;
+}
+
+/**
+ * Wrap every word under `element` that matches one of `terms` in a <mark>
+ */
+export function highlightTerms(element, terms, className = 'search-highlight') {
+  if (terms.length === 0) return;
+
+  const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+  const textNodes = [];
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    textNodes.push(node);
+  }
+
+  textNodes.forEach(node => {
+    const text = node.textContent;
+    const fragment = document.createDocumentFragment();
+    let lastIndex = 0;
+
+    for (const match of text.matchAll(WORD_PATTERN)) {
+      const word = stem(match[0]);
+      if (!terms.some(term => matchesTerm(term, word))) continue;
+
+      fragment.append(text.slice(lastIndex, match.index));
+      const mark = document.createElement('mark');
+      mark.className = className;
+      mark.textContent = match[0];
+      fragment.append(mark);
+      lastIndex = match.index + match[0].length;
+    }
+
+    if (lastIndex === 0) return;
+
+    fragment.append(text.slice(lastIndex));
+    node.replaceWith(fragment);
+  });
+}
+
+/**
+ * Undo highlightTerms
+ */
+export function clearHighlights(element, className = 'search-highlight') {
+  element.querySelectorAll(`mark.${className}`).forEach(mark => {
+    const parent = mark.parentNode;
+    mark.replaceWith(mark.textContent);
+    parent.normalize();
+  });
+}
@@ -0,0 +1,104 @@
+import assert from 'node:assert/strict';
+import { beforeEach, describe, it } from 'node:test';
+import { JSDOM } from 'jsdom';
+
+import { EventBus } from '../src/utils/eventBus.js';
+
+const PAYLOAD = { theme: 'dark', preference: 'dark', forcedColors: false, source: 'user' };
+
+describe('EventBus', () => {
+  let window;
+  let bus;
+
+  beforeEach(() => {
+    ({ window } = new JSDOM('<!DOCTYPE html><body></body>'));
+    Object.assign(globalThis, { window, document: window.document, CustomEvent: window.CustomEvent });
+    bus = new EventBus();
+  });
+
+  it('calls handlers with the payload and event type', () => {
+    const calls = [];
+    bus.on('theme:change', (payload, type) => calls.push([payload, type]));
+
+    bus.emit('theme:change', PAYLOAD);
+
+    assert.deepEqual(calls, [[PAYLOAD, 'theme:change']]);
+  });
+
+  it("matches a namespace with 'theme:*' and everything with '*'", () => {
+    const types = [];
+    bus.on('theme:*', (payload, type) => types.push(`theme:* ${type}`));
+    bus.on('*', (payload, type) => types.push(`* ${type}`));
+
+    bus.emit('theme:change', PAYLOAD);
+    bus.emit('app:resize', { width: 800, height: 600 });
+
+    assert.deepEqual(types, ['theme:* theme:change', '* theme:change', '* app:resize']);
+  });
+
+  it('calls a once handler a single time', () => {
+    let count = 0;
+    bus.once('app:resize', () => count++);
+
+    bus.emit('app:resize', { width: 800, height: 600 });
+    bus.emit('app:resize', { width: 400, height: 300 });
+
+    assert.equal(count, 1);
+  });
+
+  it('resolves once() without a handler to the next payload', async () => {
+    const next = bus.once('app:resize');
+    bus.emit('app:resize', { width: 800, height: 600 });
+
+    assert.deepEqual(await next, { width: 800, height: 600 });
+  });
+
+  it('unsubscribes when the signal aborts', () => {
+    const controller = new AbortController();
+    let count = 0;
+    bus.on('app:resize', () => count++, { signal: controller.signal });
+
+    bus.emit('app:resize', { width: 800, height: 600 });
+    controller.abort();
+    bus.emit('app:resize', { width: 800, height: 600 });
+
+    assert.equal(count, 1);
+    assert.equal(bus.subscriptions.length, 0);
+  });
+
+  it('ignores a subscription made with an aborted signal', () => {
+    let count = 0;
+    bus.on('app:resize', () => count++, { signal: AbortSignal.abort() });
+
+    bus.emit('app:resize', { width: 800, height: 600 });
+
+    assert.equal(count, 0);
+  });
+
+  it('re-dispatches events with a legacy name on window', () => {
+    const received = [];
+    window.addEventListener('themechange', event => received.push(event.detail));
+
+    bus.emit('theme:change', PAYLOAD);
+
+    assert.deepEqual(received, [PAYLOAD]);
+  });
+
+  it('keeps calling handlers after one throws', () => {
+    let called = false;
+    bus.on('app:resize', () => {
+      throw new Error('boom');
+    });
+    bus.on('app:resize', () => {
+      called = true;
+    });
+
+    bus.emit('app:resize', { width: 800, height: 600 });
+
+    assert.ok(called);
+  });
+
+  it('refuses to emit an undeclared event', () => {
+    assert.throws(() => bus.emit('nope:never', {}), /Undeclared event "nope:never"/);
+  });
+});
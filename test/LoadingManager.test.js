@@ -0,0 +1,119 @@
+import assert from 'node:assert/strict';
+import { afterEach, describe, it } from 'node:test';
+import { JSDOM } from 'jsdom';
+
+import { LoadingManager } from '../src/modules/LoadingManager.js';
+
+const LOADER = '<div id="pageLoader" class="page-loader"><div class="loader-content"><div class="loader-text"></div></div></div>';
+const OVERLAY = '<div class="page-transition" id="pageTransition"></div>';
+const LINK = '<a id="link" href="support.html">Support</a>';
+
+function setUp(body, { reducedMotion = false } = {}) {
+  const { window } = new JSDOM(`<!DOCTYPE html><body>${body}</body>`, { url: 'https://example.com/sonora/index.html' });
+  window.matchMedia = query => ({ matches: reducedMotion && query === '(prefers-reduced-motion: reduce)' });
+  Object.assign(globalThis, { window, document: window.document, requestAnimationFrame: () => {} });
+  return window;
+}
+
+function click(window, init = {}) {
+  const event = new window.MouseEvent('click', { bubbles: true, cancelable: true, button: 0, ...init });
+  window.document.getElementById('link').dispatchEvent(event);
+  return event;
+}
+
+describe('LoadingManager', () => {
+  let manager;
+
+  afterEach(() => manager.destroy());
+
+  it('marks a page without a loader as loaded straight away', () => {
+    setUp('');
+    manager = new LoadingManager();
+    manager.init();
+
+    assert.ok(globalThis.document.body.classList.contains('loaded'));
+  });
+
+  it('uncovers the page when torn down in the middle of hiding the loader', () => {
+    setUp(LOADER);
+    manager = new LoadingManager();
+    manager.init();
+    manager.hideLoader();
+    manager.destroy();
+
+    assert.equal(globalThis.document.getElementById('pageLoader').style.display, 'none');
+    assert.ok(globalThis.document.body.classList.contains('loaded'));
+  });
+
+  it('reports progress as first-viewport images load', async () => {
+    const window = setUp(LOADER + '<img id="shot" src="shot.png" alt="">');
+    const image = window.document.getElementById('shot');
+    Object.defineProperty(image, 'complete', { value: false });
+    manager = new LoadingManager();
+    manager.init();
+
+    const progress = window.document.querySelector('[role="progressbar"]');
+    assert.equal(progress.getAttribute('aria-valuenow'), '0');
+    assert.equal(progress.getAttribute('aria-valuetext'), '0 of 1 resources loaded');
+
+    image.dispatchEvent(new window.Event('load'));
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.equal(progress.getAttribute('aria-valuenow'), '100');
+    assert.ok(window.document.getElementById('pageLoader').classList.contains('fade-out'));
+  });
+
+  it('gives up waiting after the maximum time', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const window = setUp(LOADER + '<img id="shot" src="shot.png" alt="">');
+    Object.defineProperty(window.document.getElementById('shot'), 'complete', { value: false });
+    manager = new LoadingManager();
+    manager.init();
+
+    t.mock.timers.tick(4999);
+    assert.equal(window.document.getElementById('pageLoader').classList.contains('fade-out'), false);
+
+    t.mock.timers.tick(1);
+    assert.ok(window.document.getElementById('pageLoader').classList.contains('fade-out'));
+  });
+
+  it('covers a plain same-origin navigation with the overlay', () => {
+    const window = setUp(OVERLAY + LINK);
+    manager = new LoadingManager();
+    manager.init();
+
+    assert.ok(click(window).defaultPrevented);
+    assert.ok(window.document.getElementById('pageTransition').classList.contains('active'));
+  });
+
+  it('leaves modified clicks to the browser', () => {
+    const window = setUp(OVERLAY + LINK);
+    manager = new LoadingManager();
+    manager.init();
+
+    for (const init of [{ metaKey: true }, { ctrlKey: true }, { shiftKey: true }, { button: 1 }]) {
+      assert.equal(click(window, init).defaultPrevented, false);
+    }
+    assert.equal(window.document.getElementById('pageTransition').classList.contains('active'), false);
+  });
+
+  it('navigates without the overlay under reduced motion', () => {
+    const window = setUp(OVERLAY + LINK, { reducedMotion: true });
+    manager = new LoadingManager();
+    manager.init();
+
+    assert.equal(click(window).defaultPrevented, false);
+    assert.equal(window.document.getElementById('pageTransition').classList.contains('active'), false);
+  });
+
+  it('uncovers a page restored from the back/forward cache', () => {
+    const window = setUp(OVERLAY + LINK);
+    manager = new LoadingManager();
+    manager.init();
+    click(window);
+
+    window.dispatchEvent(new window.PageTransitionEvent('pageshow', { persisted: true }));
+
+    assert.equal(window.document.getElementById('pageTransition').classList.contains('active'), false);
+  });
+});
@@ -0,0 +1,66 @@
+import assert from 'node:assert/strict';
+import { before, describe, it } from 'node:test';
+import { JSDOM } from 'jsdom';
+
+let PortfolioApp;
+
+before(async () => {
+  // main.js wires itself to the page on import
+  const { window } = new JSDOM('<!DOCTYPE html><body data-features=""></body>', { url: 'https://example.com/sonora/' });
+  Object.assign(globalThis, { window, document: window.document });
+  ({ PortfolioApp } = await import('../src/main.js'));
+});
+
+function createApp(features) {
+  const app = new PortfolioApp();
+  Object.entries(features).forEach(([name, dependencies]) => {
+    app.register(name, class {}, dependencies);
+  });
+  return app;
+}
+
+describe('PortfolioApp.resolveOrder', () => {
+  it('keeps the requested order when nothing depends on anything', () => {
+    const app = createApp({ theme: [], navigation: [], toc: [] });
+    assert.deepEqual(app.resolveOrder(['toc', 'theme', 'navigation']), ['toc', 'theme', 'navigation']);
+  });
+
+  it('starts dependencies first', () => {
+    const app = createApp({ search: ['accordion'], accordion: [], theme: [] });
+    assert.deepEqual(app.resolveOrder(['search', 'theme', 'accordion']), ['accordion', 'search', 'theme']);
+  });
+
+  it('pulls in dependencies the page did not request', () => {
+    const app = createApp({ print: ['theme'], theme: [] });
+    assert.deepEqual(app.resolveOrder(['print']), ['theme', 'print']);
+  });
+
+  it('lists a shared dependency once', () => {
+    const app = createApp({ a: ['base'], b: ['base'], base: [] });
+    assert.deepEqual(app.resolveOrder(['a', 'b']), ['base', 'a', 'b']);
+  });
+
+  it('orders transitive dependencies', () => {
+    const app = createApp({ c: ['b'], b: ['a'], a: [] });
+    assert.deepEqual(app.resolveOrder(['c']), ['a', 'b', 'c']);
+  });
+
+  it('leaves out unknown features, dependency or not', () => {
+    const app = createApp({ theme: [], broken: ['missing'] });
+    assert.deepEqual(app.resolveOrder(['nope', 'theme']), ['theme']);
+    assert.deepEqual(app.resolveOrder(['broken']), ['broken']);
+  });
+
+  it('throws on a dependency cycle', () => {
+    const app = createApp({ a: ['b'], b: ['c'], c: ['a'] });
+    assert.throws(() => app.resolveOrder(['a']), /Circular feature dependency: a → b → c → a/);
+  });
+});
+
+describe('PortfolioApp.register', () => {
+  it('refuses registrations once the app has started', () => {
+    const app = createApp({});
+    app.isInitialized = true;
+    assert.throws(() => app.register('late', class {}), /after the app has started/);
+  });
+});
@@ -0,0 +1,93 @@
+import assert from 'node:assert/strict';
+import { afterEach, describe, it } from 'node:test';
+import { JSDOM } from 'jsdom';
+
+import { PrintMode, printableUrl } from '../src/modules/PrintMode.js';
+
+const PAGE = `<!DOCTYPE html><body>
+  <div class="legal-container"><header class="legal-header"><h1>Privacy Policy</h1></header></div>
+  <div class="last-updated" data-legal-version="2.0" data-legal-pdf="legal/privacy-policy/2.0.pdf"></div>
+</body>`;
+
+async function renderActions(status) {
+  const { window } = new JSDOM(PAGE, { url: 'https://example.com/sonora/privacy-policy.html' });
+  const requests = [];
+  Object.assign(globalThis, {
+    window,
+    document: window.document,
+    fetch: async (url, options) => {
+      requests.push([url, options.method]);
+      return { ok: status === 200, status };
+    }
+  });
+
+  const actions = window.document.createElement('div');
+  await new PrintMode().renderDownload(actions, 'legal/privacy-policy/2.0.pdf', '2.0');
+  return { actions, requests };
+}
+
+describe('PrintMode', () => {
+  afterEach(() => { delete globalThis.fetch; });
+
+  it('links the PDF once a HEAD request finds it', async () => {
+    const { actions, requests } = await renderActions(200);
+
+    assert.deepEqual(requests, [['legal/privacy-policy/2.0.pdf', 'HEAD']]);
+    assert.equal(actions.querySelector('a[download]').getAttribute('href'), 'legal/privacy-policy/2.0.pdf');
+  });
+
+  it('leaves the link out when the PDF was never rendered', async () => {
+    const { actions } = await renderActions(404);
+    assert.equal(actions.querySelector('a[download]'), null);
+  });
+});
+
+const LEGAL_PAGE = `<!DOCTYPE html><head></head><body>
+  <main class="legal-container">
+    <header class="legal-header"><h1>Privacy Policy</h1></header>
+    <div class="last-updated" data-legal-title="Privacy Policy" data-legal-version="2.0" data-effective="2025-11-04"></div>
+  </main>
+</body>`;
+
+function renderPage({ marginBoxes }) {
+  const { window } = new JSDOM(LEGAL_PAGE, { url: 'https://example.com/sonora/privacy-policy.html' });
+  if (marginBoxes) window.CSSMarginRule = class {};
+  Object.assign(globalThis, { window, document: window.document });
+
+  const printMode = new PrintMode();
+  printMode.init();
+  return { document: window.document, printMode };
+}
+
+describe('PrintMode page header and footer', () => {
+  it('adds them to the flow where @page margin boxes are unsupported', () => {
+    const { document, printMode } = renderPage({ marginBoxes: false });
+    const main = document.querySelector('main');
+
+    assert.equal(main.firstElementChild.className, 'print-running print-running-header');
+    assert.deepEqual(
+      Array.from(main.firstElementChild.children, span => span.textContent),
+      ['Privacy Policy', 'example.com/sonora/privacy-policy.html']
+    );
+    assert.equal(main.lastElementChild.className, 'print-running print-running-footer');
+    assert.equal(main.lastElementChild.textContent, 'Version 2.0 · Effective November 4, 2025');
+
+    printMode.destroy();
+    assert.equal(document.querySelectorAll('.print-running').length, 0);
+  });
+
+  it('leaves them to the margin boxes where those are supported', () => {
+    const { document } = renderPage({ marginBoxes: true });
+
+    assert.equal(document.querySelectorAll('.print-running').length, 0);
+    assert.match(document.querySelector('style[data-print-page]').textContent, /@bottom-left \{ content: "Version 2\.0 · Effective November 4, 2025"/);
+  });
+});
+
+describe('printableUrl', () => {
+  it('shows addresses for mail links and nothing for fragments', () => {
+    assert.equal(printableUrl('mailto:kahessay@icloud.com', 'https://example.com/'), 'kahessay@icloud.com');
+    assert.equal(printableUrl('#section', 'https://example.com/'), null);
+    assert.equal(printableUrl('terms-of-service.html', 'https://example.com/sonora/'), 'https://example.com/sonora/terms-of-service.html');
+  });
+});
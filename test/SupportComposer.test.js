@@ -0,0 +1,54 @@
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { before, describe, it } from 'node:test';
+import { JSDOM } from 'jsdom';
+
+import { MAX_MAILTO_LENGTH } from '../src/utils/links.js';
+
+let SupportComposer;
+let page;
+
+before(async () => {
+  page = await readFile(new URL('../sonora/support.html', import.meta.url), 'utf8');
+  const { window } = new JSDOM('<!DOCTYPE html>', { url: 'https://example.com/sonora/support.html' });
+  Object.assign(globalThis, { window, document: window.document, navigator: window.navigator });
+  ({ SupportComposer } = await import('../src/modules/SupportComposer.js'));
+});
+
+function createComposer(values) {
+  const { window } = new JSDOM(page, { url: 'https://example.com/sonora/support.html' });
+  Object.assign(globalThis, { window, document: window.document });
+
+  const composer = new SupportComposer();
+  composer.init();
+  Object.entries(values).forEach(([name, value]) => {
+    composer.form.elements[name].value = value;
+  });
+  composer.updateCategory();
+  return composer;
+}
+
+function submit(composer) {
+  composer.form.dispatchEvent(new globalThis.window.Event('submit', { cancelable: true }));
+}
+
+describe('SupportComposer', () => {
+  it('builds a mailto: link that fits for a typical message', () => {
+    const composer = createComposer({ category: 'question', summary: 'Export question', details: 'How do I export a recording to Files?' });
+    assert.ok(composer.buildUrl().length <= MAX_MAILTO_LENGTH);
+  });
+
+  it('blocks a message too long for a mailto: link and flags the longest answer', () => {
+    // Within the 600 character limit, but each 🎙️ is 21 characters once percent-encoded
+    const composer = createComposer({ category: 'question', summary: 'Export question', details: '🎙️ '.repeat(150) });
+    assert.ok(composer.buildUrl().length > MAX_MAILTO_LENGTH);
+
+    submit(composer);
+
+    const details = composer.form.elements.details;
+    assert.equal(details.getAttribute('aria-invalid'), 'true');
+    assert.match(globalThis.document.getElementById('composerDetails-error').textContent, /about \d+ characters too long/);
+    assert.match(composer.status.textContent, /too long to send as an email link/);
+    assert.equal(globalThis.window.location.href, 'https://example.com/sonora/support.html');
+  });
+});
@@ -0,0 +1,97 @@
+import assert from 'node:assert/strict';
+import { afterEach, describe, it } from 'node:test';
+import { JSDOM } from 'jsdom';
+
+import { ThemeManager } from '../src/modules/ThemeManager.js';
+
+function setUp(stored) {
+  const { window } = new JSDOM('<!DOCTYPE html><head></head><body></body>', { url: 'https://example.com/sonora/' });
+  Object.assign(globalThis, { window, document: window.document, localStorage: window.localStorage });
+  if (stored !== undefined) window.localStorage.setItem('theme', stored);
+  return window;
+}
+
+function createManager() {
+  const controller = new globalThis.window.AbortController();
+  const emitted = [];
+  const events = { emit: (type, detail) => emitted.push(detail) };
+  const manager = new ThemeManager({ signal: controller.signal, events });
+  manager.init();
+  return { manager, emitted, controller };
+}
+
+describe('ThemeManager', () => {
+  let controller;
+
+  afterEach(() => controller.abort());
+
+  it('cycles system, light, dark and back to system after the last palette', () => {
+    setUp();
+    const created = createManager();
+    controller = created.controller;
+    const { manager } = created;
+
+    assert.equal(manager.getThemePreference(), 'system');
+
+    const seen = [];
+    const palettes = manager.getPalettes().length;
+    for (let i = 0; i <= palettes; i++) {
+      manager.toggleTheme();
+      seen.push(manager.getThemePreference());
+    }
+
+    assert.deepEqual(seen.slice(0, 2), ['light', 'dark']);
+    assert.equal(seen[seen.length - 1], 'system');
+  });
+
+  it('stores the preference as a versioned record', () => {
+    setUp();
+    const created = createManager();
+    controller = created.controller;
+    created.manager.setThemePreference('dark');
+
+    const record = JSON.parse(globalThis.localStorage.getItem('theme'));
+    assert.equal(record.version, 1);
+    assert.equal(record.preference, 'dark');
+    assert.equal(globalThis.document.documentElement.getAttribute('data-theme'), 'dark');
+  });
+
+  it("reads a legacy bare 'light' or 'dark' value", () => {
+    for (const legacy of ['light', 'dark']) {
+      setUp(legacy);
+      const created = createManager();
+      controller = created.controller;
+
+      assert.equal(created.manager.getThemePreference(), legacy);
+      assert.equal(globalThis.document.documentElement.getAttribute('data-theme'), legacy);
+      controller.abort();
+    }
+  });
+
+  it("follows a change made in another tab and announces it as 'remote'", () => {
+    const window = setUp();
+    const created = createManager();
+    controller = created.controller;
+
+    window.dispatchEvent(new window.StorageEvent('storage', {
+      key: 'theme',
+      newValue: JSON.stringify({ version: 1, preference: 'dark' }),
+      storageArea: window.localStorage
+    }));
+
+    assert.equal(created.manager.getThemePreference(), 'dark');
+    assert.equal(window.document.documentElement.getAttribute('data-theme'), 'dark');
+    assert.deepEqual(created.emitted.map(detail => detail.source), ['remote']);
+  });
+
+  it('goes back to the system theme when another tab clears storage', () => {
+    const window = setUp('dark');
+    const created = createManager();
+    controller = created.controller;
+
+    window.dispatchEvent(new window.StorageEvent('storage', { key: null, storageArea: window.localStorage }));
+
+    assert.equal(created.manager.getThemePreference(), 'system');
+    assert.equal(created.emitted[0].source, 'remote');
+  });
+});
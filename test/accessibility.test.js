@@ -0,0 +1,70 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { JSDOM } from 'jsdom';
+
+import { checkColorContrast, compositeColors, createSkipLink, parseColor } from '../src/utils/accessibility.js';
+
+describe('parseColor', () => {
+  it('parses hex in every length', () => {
+    assert.deepEqual(parseColor('#fff'), { r: 255, g: 255, b: 255, a: 1 });
+    assert.deepEqual(parseColor('#E85D00'), { r: 232, g: 93, b: 0, a: 1 });
+    assert.deepEqual(parseColor('#00000080'), { r: 0, g: 0, b: 0, a: 128 / 255 });
+    assert.deepEqual(parseColor('#0008'), { r: 0, g: 0, b: 0, a: 136 / 255 });
+  });
+
+  it('parses rgb() and hsl() in comma and space syntax', () => {
+    assert.deepEqual(parseColor('rgba(255, 0, 0, 0.5)'), { r: 255, g: 0, b: 0, a: 0.5 });
+    assert.deepEqual(parseColor('rgb(100% 0% 0% / 50%)'), { r: 255, g: 0, b: 0, a: 0.5 });
+    assert.deepEqual(parseColor('hsl(120, 100%, 50%)'), { r: 0, g: 255, b: 0, a: 1 });
+    assert.deepEqual(parseColor('hsl(0 0% 100%)'), { r: 255, g: 255, b: 255, a: 1 });
+  });
+
+  it('knows a few keywords and rejects the rest', () => {
+    assert.deepEqual(parseColor('White'), { r: 255, g: 255, b: 255, a: 1 });
+    assert.equal(parseColor('rebeccapurple'), null);
+    assert.equal(parseColor('#12'), null);
+    assert.equal(parseColor(undefined), null);
+  });
+});
+
+describe('compositeColors', () => {
+  it('blends a translucent colour over its backdrop', () => {
+    assert.deepEqual(compositeColors({ r: 0, g: 0, b: 0, a: 0.5 }, { r: 255, g: 255, b: 255, a: 1 }), { r: 127.5, g: 127.5, b: 127.5, a: 1 });
+  });
+});
+
+describe('checkColorContrast', () => {
+  it('computes the WCAG ratio', () => {
+    const result = checkColorContrast('#000', '#fff');
+    assert.equal(result.ratio.toFixed(2), '21.00');
+    assert.ok(result.AA && result.AAA);
+    assert.equal(checkColorContrast('#777', '#777').ratio, 1);
+  });
+
+  it('applies the large-text thresholds', () => {
+    // #949494 on white is 3.03:1, #767676 4.54:1
+    assert.ok(checkColorContrast('#949494', '#fff', { large: true }).AA);
+    assert.equal(checkColorContrast('#949494', '#fff').AA, false);
+    assert.ok(checkColorContrast('#767676', '#fff').AA);
+    assert.equal(checkColorContrast('#767676', '#fff').AAA, false);
+  });
+
+  it('composites translucent colours before measuring', () => {
+    const solid = checkColorContrast('#808080', '#fff').ratio;
+    assert.equal(checkColorContrast('rgba(0, 0, 0, 0.498)', '#fff').ratio.toFixed(1), solid.toFixed(1));
+  });
+});
+
+describe('createSkipLink', () => {
+  it('removes the link when its signal aborts', () => {
+    const { window } = new JSDOM('<!DOCTYPE html><body><main id="main-content"></main></body>');
+    Object.assign(globalThis, { window, document: window.document });
+    const controller = new window.AbortController();
+
+    createSkipLink({ signal: controller.signal });
+    assert.equal(window.document.querySelectorAll('.skip-link').length, 1);
+
+    controller.abort();
+    assert.equal(window.document.querySelectorAll('.skip-link').length, 0);
+  });
+});
@@ -0,0 +1,76 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { JSDOM } from 'jsdom';
+
+import { flush, getConsent, initAnalytics, setConsent, snapshot, track } from '../src/utils/analytics.js';
+
+const beacons = [];
+
+function setNavigator(properties = {}) {
+  const navigator = {
+    sendBeacon: (url, body) => beacons.push({ url, body: JSON.parse(body) }) > 0,
+    ...properties
+  };
+  Object.defineProperty(globalThis, 'navigator', { value: navigator, configurable: true, writable: true });
+}
+
+describe('analytics', () => {
+  beforeEach(() => {
+    const { window } = new JSDOM('<!DOCTYPE html><body></body>', { url: 'https://example.com/sonora/support.html' });
+    Object.assign(globalThis, { window, document: window.document, localStorage: window.localStorage });
+    setNavigator();
+    beacons.length = 0;
+  });
+
+  afterEach(() => setConsent('denied'));
+
+  it('is denied by default and counts nothing', () => {
+    assert.equal(getConsent(), 'denied');
+
+    track('page_view');
+    assert.deepEqual(snapshot(), []);
+  });
+
+  it('stays denied under Do Not Track or Global Privacy Control', () => {
+    for (const signal of [{ doNotTrack: '1' }, { globalPrivacyControl: true }]) {
+      setNavigator(signal);
+      setConsent('granted');
+
+      assert.equal(getConsent(), 'denied');
+      track('page_view');
+      assert.deepEqual(snapshot(), []);
+    }
+  });
+
+  it("reports unlisted dimension values as 'other' and drops unlisted properties", () => {
+    setConsent('granted');
+    track('link_click', { type: 'ftp', url: 'ftp://example.com/file' });
+    track('link_click', { type: 'external' });
+
+    assert.deepEqual(snapshot(), [
+      { event: 'link_click', dimensions: { type: 'other' }, count: 1 },
+      { event: 'link_click', dimensions: { type: 'external' }, count: 1 }
+    ]);
+  });
+
+  it('keeps the counts when there is no endpoint to flush them to', () => {
+    setConsent('granted');
+    track('page_view');
+
+    assert.equal(flush(), false);
+    assert.equal(beacons.length, 0);
+    assert.equal(snapshot()[0].count, 1);
+  });
+
+  it('sends the counts for the page path once there is an endpoint', () => {
+    setConsent('granted');
+    initAnalytics({ endpoint: 'https://stats.example.com/collect' });
+
+    assert.equal(flush(), true);
+    assert.deepEqual(beacons, [{
+      url: 'https://stats.example.com/collect',
+      body: { schema: 1, path: '/sonora/support.html', counts: [{ event: 'page_view', dimensions: {}, count: 1 }] }
+    }]);
+    assert.deepEqual(snapshot(), []);
+  });
+});
@@ -0,0 +1,39 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { extractSharedBlocks, splitBlocks } from '../scripts/lib/css.js';
+
+describe('extractSharedBlocks', () => {
+  it('groups blocks by the pages that repeat them', () => {
+    const { groups, pages } = extractSharedBlocks([
+      'body { margin: 0; } .hero { color: red; }',
+      'body { margin: 0; } .legal { color: blue; } .home { color: green; }',
+      'body { margin: 0; } .legal { color: blue; } .support { color: gray; }'
+    ]);
+
+    assert.deepEqual(groups, [
+      { pages: [0, 1, 2], blocks: ['body { margin: 0; }'] },
+      { pages: [1, 2], blocks: ['.legal { color: blue; }'] }
+    ]);
+    assert.deepEqual(pages, [['.hero { color: red; }'], ['.home { color: green; }'], ['.support { color: gray; }']]);
+  });
+
+  it("keeps a page's copy inline when loading it first could change the cascade", () => {
+    const { groups, pages } = extractSharedBlocks([
+      '.card { color: red; } .note { color: blue; }',
+      '.note { color: blue; } .other { margin: 0; }',
+      '.note { color: blue; } .more { margin: 0; }'
+    ]);
+
+    // .note follows .card on the first page, and would win over it either way round
+    assert.deepEqual(groups, [{ pages: [1, 2], blocks: ['.note { color: blue; }'] }]);
+    assert.deepEqual(pages[0], ['.card { color: red; }', '.note { color: blue; }']);
+  });
+
+  it('leaves groups smaller than minGroupSize inline', () => {
+    const sheets = ['a { color: red; } .x { margin: 0; }', 'a { color: red; } .y { margin: 0; }'];
+
+    assert.equal(extractSharedBlocks(sheets).groups.length, 1);
+    assert.deepEqual(extractSharedBlocks(sheets, { minGroupSize: 100 }), { groups: [], pages: sheets.map(splitBlocks) });
+  });
+});
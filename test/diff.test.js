@@ -0,0 +1,95 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { diffSections, diffSequences, diffWords } from '../src/utils/diff.js';
+
+const changed = changes => changes.filter(change => change.type !== 'equal');
+
+describe('diffSequences', () => {
+  it('marks identical sequences equal', () => {
+    assert.deepEqual(diffSequences(['a', 'b'], ['a', 'b']), [
+      { type: 'equal', value: 'a' },
+      { type: 'equal', value: 'b' }
+    ]);
+  });
+
+  it('finds insertions and deletions in reading order', () => {
+    assert.deepEqual(diffSequences(['a', 'b', 'c', 'd'], ['a', 'x', 'c', 'd', 'e']), [
+      { type: 'equal', value: 'a' },
+      { type: 'delete', value: 'b' },
+      { type: 'insert', value: 'x' },
+      { type: 'equal', value: 'c' },
+      { type: 'equal', value: 'd' },
+      { type: 'insert', value: 'e' }
+    ]);
+  });
+
+  it('handles empty sides', () => {
+    assert.deepEqual(diffSequences([], ['a']), [{ type: 'insert', value: 'a' }]);
+    assert.deepEqual(diffSequences(['a'], []), [{ type: 'delete', value: 'a' }]);
+    assert.deepEqual(diffSequences([], []), []);
+  });
+
+  it('keeps the longest common subsequence', () => {
+    const result = diffSequences('ABCBDAB'.split(''), 'BDCABA'.split(''));
+    assert.equal(result.filter(change => change.type === 'equal').length, 4);
+  });
+
+  it('falls back to delete-then-insert past the table limit', () => {
+    const before = Array.from({ length: 600 }, (_, i) => `a${i}`);
+    const after = Array.from({ length: 600 }, (_, i) => `b${i}`);
+    const result = diffSequences(['same', ...before, 'end'], ['same', ...after, 'end']);
+
+    assert.equal(result[0].type, 'equal');
+    assert.equal(result.at(-1).type, 'equal');
+    assert.ok(result.slice(1, 601).every(change => change.type === 'delete'));
+    assert.ok(result.slice(601, 1201).every(change => change.type === 'insert'));
+  });
+});
+
+describe('diffWords', () => {
+  it('diffs word by word, keeping whitespace', () => {
+    assert.deepEqual(changed(diffWords('We keep your data', 'We never keep your data')), [
+      { type: 'insert', value: 'never' },
+      { type: 'insert', value: ' ' }
+    ]);
+    assert.equal(diffWords('a  b', 'a  b').map(change => change.value).join(''), 'a  b');
+  });
+});
+
+describe('diffSections', () => {
+  const previous = [
+    { id: 'intro', title: 'Introduction', blocks: ['Hello.'] },
+    { id: 'data', title: 'Data', blocks: ['We store audio.', 'Nothing else.'] },
+    { id: 'old', title: 'Old', blocks: ['Gone soon.'] }
+  ];
+  const next = [
+    { id: 'intro', title: 'Introduction', blocks: ['Hello.'] },
+    { id: 'data', title: 'Your data', blocks: ['We store audio.', 'And transcripts.'] },
+    { id: 'new', title: 'New', blocks: ['Just added.'] }
+  ];
+
+  it('matches sections by id and reports their status', () => {
+    const results = diffSections(previous, next);
+    assert.deepEqual(results.map(({ id, status }) => [id, status]), [
+      ['intro', 'unchanged'],
+      ['data', 'changed'],
+      ['new', 'added'],
+      ['old', 'removed']
+    ]);
+  });
+
+  it('keeps the previous title of a renamed section', () => {
+    const data = diffSections(previous, next).find(section => section.id === 'data');
+    assert.equal(data.previousTitle, 'Data');
+    assert.deepEqual(changed(data.changes), [
+      { type: 'delete', value: 'Nothing else.' },
+      { type: 'insert', value: 'And transcripts.' }
+    ]);
+  });
+
+  it('counts a renamed section with the same text as changed', () => {
+    const [result] = diffSections([{ id: 'a', title: 'A', blocks: ['x'] }], [{ id: 'a', title: 'B', blocks: ['x'] }]);
+    assert.equal(result.status, 'changed');
+  });
+});
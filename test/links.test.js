@@ -0,0 +1,60 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { MAX_MAILTO_LENGTH, buildMailtoUrl, classifyLink, validateUrl } from '../src/utils/links.js';
+
+describe('buildMailtoUrl', () => {
+  it('percent-encodes fields, with %20 for spaces', () => {
+    assert.equal(
+      buildMailtoUrl('support@example.com', { subject: 'Export & sync?', body: 'a+b' }),
+      'mailto:support@example.com?subject=Export%20%26%20sync%3F&body=a%2Bb'
+    );
+  });
+
+  it('sends line breaks as CRLF', () => {
+    assert.equal(buildMailtoUrl('a@example.com', { body: 'one\ntwo\r\nthree' }), 'mailto:a@example.com?body=one%0D%0Atwo%0D%0Athree');
+  });
+
+  it('leaves out empty fields', () => {
+    assert.equal(buildMailtoUrl('a@example.com', { subject: '', cc: null, body: undefined }), 'mailto:a@example.com');
+  });
+});
+
+describe('validateUrl', () => {
+  it('accepts web, mail and phone URLs', () => {
+    assert.ok(validateUrl('https://example.com/path'));
+    assert.ok(validateUrl('tel:+15555550100'));
+    assert.ok(validateUrl(buildMailtoUrl('support@example.com', { subject: 'Hi', body: 'Hello there' })));
+  });
+
+  it('rejects other protocols and malformed URLs', () => {
+    assert.equal(validateUrl('javascript:alert(1)'), false);
+    assert.equal(validateUrl('not a url'), false);
+  });
+
+  it('rejects mailto: URLs with bad recipients, headers or encoding', () => {
+    assert.equal(validateUrl('mailto:not-an-address'), false);
+    assert.equal(validateUrl('mailto:?subject=Hi'), false);
+    assert.equal(validateUrl('mailto:a@example.com?x-priority=1'), false);
+    assert.equal(validateUrl('mailto:a@example.com?subject=Two words'), false);
+    assert.equal(validateUrl('mailto:a@example.com?subject=%E0%A4%A'), false);
+    assert.equal(validateUrl('mailto:a@example.com?cc=b@example.com,oops'), false);
+  });
+
+  it('rejects mailto: URLs past the length mail clients handle', () => {
+    const body = 'x'.repeat(MAX_MAILTO_LENGTH);
+    assert.equal(validateUrl(buildMailtoUrl('a@example.com', { body })), false);
+  });
+});
+
+describe('classifyLink', () => {
+  it('classifies hrefs as written', () => {
+    assert.equal(classifyLink('#faq'), 'fragment');
+    assert.equal(classifyLink('support.html'), 'internal');
+    assert.equal(classifyLink('/sonora/'), 'internal');
+    assert.equal(classifyLink('mailto:a@example.com'), 'email');
+    assert.equal(classifyLink('tel:+15555550100'), 'phone');
+    assert.equal(classifyLink(' HTTPS://example.com'), 'external');
+    assert.equal(classifyLink('ftp://example.com'), 'other');
+  });
+});
@@ -0,0 +1,112 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { JSDOM } from 'jsdom';
+
+import { LazyLoader, rateMetric, selectInp } from '../src/utils/performance.js';
+
+describe('selectInp', () => {
+  it('is the longest interaction on pages with fewer than 50', () => {
+    assert.equal(selectInp([80, 240, 120], 3), 240);
+    assert.equal(selectInp([80, 240, 120], 49), 240);
+  });
+
+  it('skips one outlier per 50 interactions', () => {
+    const longest = [900, 700, 500, 300, 200, 150, 120, 100, 90, 80];
+    assert.equal(selectInp(longest, 50), 700);
+    assert.equal(selectInp(longest, 149), 500);
+  });
+
+  it('falls back to the shortest candidate kept', () => {
+    assert.equal(selectInp([300, 200], 400), 200);
+  });
+});
+
+describe('rateMetric', () => {
+  it('rates against the web.dev thresholds', () => {
+    assert.equal(rateMetric('INP', 200), 'good');
+    assert.equal(rateMetric('INP', 201), 'needs-improvement');
+    assert.equal(rateMetric('CLS', 0.3), 'poor');
+  });
+});
+
+// The markup scripts/build-images.js writes, trimmed to one size per format
+const PICTURE = `
+  <picture class="lazy-picture" style="background-image: url('data:image/webp;base64,AAAA')">
+    <source type="image/avif" data-srcset="img/shot-320.avif 320w">
+    <source type="image/webp" data-srcset="img/shot-320.webp 320w">
+    <img data-src="img/shot-640.jpg" data-srcset="img/shot-320.jpg 320w" data-fallback="img/shot-640.jpg" width="640" height="1385" alt="" loading="lazy">
+  </picture>`;
+
+function setUpImages({ nativeLazy = false } = {}) {
+  const { window } = new JSDOM(`<!DOCTYPE html><body>${PICTURE}</body>`, { url: 'https://example.com/sonora/' });
+  if (nativeLazy) {
+    Object.defineProperty(window.HTMLImageElement.prototype, 'loading', {
+      get() { return this.getAttribute('loading') || 'auto'; },
+      configurable: true
+    });
+  }
+
+  const observed = [];
+  window.IntersectionObserver = class {
+    observe(element) { observed.push(element); }
+    disconnect() {}
+  };
+
+  Object.assign(globalThis, {
+    window,
+    document: window.document,
+    HTMLImageElement: window.HTMLImageElement,
+    IntersectionObserver: window.IntersectionObserver
+  });
+  const picture = window.document.querySelector('picture');
+  return { window, picture, image: picture.querySelector('img'), observed };
+}
+
+describe('LazyLoader', () => {
+  it('waits for the observer where the browser cannot lazy-load natively', () => {
+    const { picture, image, observed } = setUpImages();
+    new LazyLoader().init();
+
+    assert.deepEqual(observed, [image]);
+    assert.equal(image.getAttribute('src'), null);
+    assert.ok(picture.classList.contains('lazy-pending'));
+  });
+
+  it("hands loading=\"lazy\" images straight to a browser that supports it", () => {
+    const { picture, image, observed } = setUpImages({ nativeLazy: true });
+    new LazyLoader().init();
+
+    assert.deepEqual(observed, []);
+    assert.equal(image.getAttribute('src'), 'img/shot-640.jpg');
+    assert.equal(image.getAttribute('srcset'), 'img/shot-320.jpg 320w');
+    assert.deepEqual(
+      Array.from(picture.querySelectorAll('source'), source => source.getAttribute('srcset')),
+      ['img/shot-320.avif 320w', 'img/shot-320.webp 320w']
+    );
+  });
+
+  it('fades the image in once it loads', () => {
+    const { window, picture, image } = setUpImages({ nativeLazy: true });
+    new LazyLoader().init();
+
+    image.dispatchEvent(new window.Event('load'));
+
+    assert.ok(image.classList.contains('loaded'));
+    assert.ok(picture.classList.contains('loaded'));
+    assert.equal(picture.classList.contains('lazy-pending'), false);
+  });
+
+  it('retries a failed image as the plain JPEG, then gives up', () => {
+    const { window, picture, image } = setUpImages({ nativeLazy: true });
+    new LazyLoader().init();
+
+    image.dispatchEvent(new window.Event('error'));
+    assert.equal(picture.querySelectorAll('source').length, 0);
+    assert.equal(image.hasAttribute('srcset'), false);
+    assert.equal(image.getAttribute('src'), 'img/shot-640.jpg');
+
+    image.dispatchEvent(new window.Event('error'));
+    assert.ok(picture.classList.contains('image-error'));
+    assert.equal(picture.classList.contains('lazy-pending'), false);
+  });
+});
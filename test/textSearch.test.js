@@ -0,0 +1,67 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { editDistance, getQueryTerms, matchesTerm, stem, tokenize } from '../src/utils/textSearch.js';
+
+describe('stem', () => {
+  it('reduces inflections to a shared stem', () => {
+    assert.equal(stem('recording'), 'record');
+    assert.equal(stem('recorded'), 'record');
+    assert.equal(stem('records'), 'record');
+    assert.equal(stem('stopped'), 'stop');
+    assert.equal(stem('batteries'), 'battery');
+  });
+
+  it('leaves short words and possessives sensible', () => {
+    assert.equal(stem('is'), 'is');
+    assert.equal(stem('Sonora’s'), 'sonora');
+    assert.equal(stem("app's"), 'app');
+  });
+});
+
+describe('tokenize', () => {
+  it('splits on anything but letters, digits and apostrophes', () => {
+    assert.deepEqual(tokenize("Can't export to PDF (iOS 17)?"), ["can't", 'export', 'to', 'pdf', 'ios', '17']);
+    assert.deepEqual(tokenize('Café — über'), ['café', 'über']);
+    assert.deepEqual(tokenize('   '), []);
+  });
+});
+
+describe('getQueryTerms', () => {
+  it('drops stop words and duplicates', () => {
+    assert.deepEqual(getQueryTerms('How do I export my recordings and records?'), ['export', 'record']);
+  });
+
+  it('keeps stop words when the query is nothing else', () => {
+    assert.deepEqual(getQueryTerms('how to'), ['how', 'to']);
+  });
+});
+
+describe('editDistance', () => {
+  it('counts insertions, deletions and substitutions', () => {
+    assert.equal(editDistance('kitten', 'sitting'), 3);
+    assert.equal(editDistance('', 'abc'), 3);
+    assert.equal(editDistance('same', 'same'), 0);
+  });
+
+  it('gives up past the maximum', () => {
+    assert.equal(editDistance('abcdef', 'uvwxyz', 2), 3);
+    assert.equal(editDistance('a', 'abcdef', 2), 3);
+  });
+});
+
+describe('matchesTerm', () => {
+  it('matches exact words and prefixes of three or more letters', () => {
+    assert.ok(matchesTerm('export', 'export'));
+    assert.ok(matchesTerm('tra', 'transcript'));
+    assert.ok(!matchesTerm('tr', 'transcript'));
+  });
+
+  it('tolerates typos in proportion to the term length', () => {
+    assert.ok(!matchesTerm('sync', 'sinc'));
+    assert.ok(matchesTerm('exporr', 'export'));
+    assert.ok(!matchesTerm('exprot', 'export'));
+    assert.ok(matchesTerm('transcirpt', 'transcript'));
+    assert.ok(!matchesTerm('exprto', 'import'));
+  });
+});